@@ -0,0 +1,52 @@
+// netlify/functions/admin-login.js
+// Signs an admin in with their username and password (see utils/auth) and
+// returns a session token for the Authorization header of admin functions.
+
+const { signIn } = require('./utils/auth');
+const { recordAudit, recordFailedSignIn } = require('./utils/audit');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  let credentials;
+  try {
+    credentials = JSON.parse(event.body || '{}');
+  } catch (e) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+  }
+
+  const { username, password } = credentials;
+  if (!username || !password) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Username and password are required' }) };
+  }
+
+  try {
+    const session = signIn(username, password);
+    if (!session) {
+      const attempted = String(username).slice(0, 50);
+      console.warn(`Failed admin sign-in for "${attempted}"`);
+      await recordFailedSignIn(event, attempted);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid username or password' }) };
+    }
+
+    console.log(`Admin sign-in: ${session.user.username} (${session.user.role})`);
+    await recordAudit(event, session.user, 'admin.sign-in');
+    return { statusCode: 200, headers, body: JSON.stringify(session) };
+
+  } catch (error) {
+    console.error('Admin login error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: error.message }) };
+  }
+};
@@ -0,0 +1,213 @@
+// netlify/functions/backfill-keap-background.js
+// Runs the queued Keap backfill job (see utils/backfill-jobs) as a Netlify
+// background function, which can run for up to 15 minutes; the caller gets a
+// 202 straight away and follows progress through backfill-status.
+//
+// Each completed session, newest first, is backfilled as backfill-keap does
+// it, and the job is saved after every one. Before the function's time runs
+// out the job stops as interrupted, to be resumed after its cursor.
+//
+// Saves are conditional on the job this run last saved (see
+// utils/backfill-jobs): if one fails, the job was resumed or cancelled from
+// backfill-status in the meantime and this run stops without writing.
+
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const { requireRole } = require('./utils/auth');
+const { readJob, saveJob, recordResult, isCancelRequested } = require('./utils/backfill-jobs');
+const { recordAudit } = require('./utils/audit');
+const { backfillSession } = require('./backfill-keap');
+
+// Stop taking new orders after this long, leaving time for the last one
+// and the final save before Netlify's 15 minute limit
+const RUN_TIME_BUDGET_MS = 13 * 60 * 1000;
+
+function getStripe() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+  return new Stripe(secretKey);
+}
+
+// Nothing returned here reaches the caller, so every outcome is saved on
+// the job or logged
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405 };
+  }
+
+  // Auth check
+  const auth = requireRole(event, 'owner');
+  if (auth.error) {
+    console.warn(`Backfill job not started: ${auth.error}`);
+    return { statusCode: auth.statusCode };
+  }
+
+  let jobId;
+  try {
+    jobId = JSON.parse(event.body || '{}').jobId;
+  } catch (e) {
+    // Handled below
+  }
+
+  let { job, etag } = await readJob(event);
+  if (!job || job.id !== jobId || job.status !== 'queued') {
+    console.warn(`Backfill job ${jobId} is not queued, nothing to run`);
+    return { statusCode: 409 };
+  }
+
+  // Claim the job. Only one run's write can match the ETag it was read with.
+  job = {
+    ...job,
+    status: 'running',
+    runId: crypto.randomBytes(4).toString('hex'),
+    startedAt: job.startedAt || new Date().toISOString()
+  };
+  etag = await saveJob(event, job, etag);
+  if (!etag) {
+    console.warn(`Backfill job ${job.id} was picked up by another run`);
+    return { statusCode: 409 };
+  }
+
+  const syncedThisRun = [];
+  const resumedAfter = job.cursor;
+  let superseded = false;
+
+  try {
+    const keapToken = process.env.KEAP_ACCESS_TOKEN;
+    if (!keapToken) {
+      throw new Error('KEAP_ACCESS_TOKEN not configured');
+    }
+
+    const stripe = getStripe();
+    const deadline = Date.now() + RUN_TIME_BUDGET_MS;
+
+    if (job.total === null) {
+      job.total = await countSessions(stripe, job.limit);
+      etag = await saveJob(event, job, etag);
+    }
+
+    console.log(`Running backfill job ${job.id} (dryRun: ${job.dryRun}, from: ${job.cursor || 'start'})`);
+
+    let finalStatus = 'completed';
+    let message = null;
+
+    pages:
+    while (etag) {
+      const page = await stripe.checkout.sessions.list({
+        status: 'complete',
+        limit: 100,
+        ...(job.cursor ? { starting_after: job.cursor } : {})
+      });
+
+      for (const sessionSummary of page.data) {
+        if (job.limit && job.processed >= job.limit) {
+          break pages;
+        }
+
+        if (await isCancelRequested(event, job.id)) {
+          finalStatus = 'cancelled';
+          message = 'Cancelled from the admin';
+          break pages;
+        }
+
+        if (Date.now() > deadline) {
+          finalStatus = 'interrupted';
+          message = 'Paused before the function time limit. Resume to continue.';
+          break pages;
+        }
+
+        const row = await runSession(stripe, keapToken, sessionSummary.id, job.dryRun);
+        recordResult(job, row);
+        if (row.status === 'synced') syncedThisRun.push({ orderId: row.sessionId, email: row.email });
+
+        job.cursor = sessionSummary.id;
+        etag = await saveJob(event, job, etag);
+        if (!etag) {
+          break pages;
+        }
+      }
+
+      if (!page.has_more || page.data.length === 0) break;
+    }
+
+    if (etag) {
+      job.status = finalStatus;
+      job.message = message;
+    } else {
+      // Whoever changed the job owns it now
+      console.warn(`Backfill job ${job.id} changed under this run (resumed or cancelled), stopping`);
+      superseded = true;
+    }
+  } catch (error) {
+    console.error(`Backfill job ${job.id} failed:`, error);
+    job.status = 'failed';
+    job.message = error.message;
+  }
+
+  if (!superseded) {
+    if (job.status !== 'interrupted') {
+      job.finishedAt = new Date().toISOString();
+    }
+    if (!(await saveJob(event, job, etag))) {
+      console.warn(`Backfill job ${job.id} changed before its final save; not overwriting it`);
+    }
+  }
+
+  await recordAudit(event, auth.user, 'keap.backfill', {
+    details: {
+      jobId: job.id,
+      status: job.status,
+      dryRun: job.dryRun,
+      limit: job.limit,
+      resumedAfter,
+      processed: job.processed,
+      synced: job.synced,
+      skipped: job.skipped,
+      errors: job.failed
+    },
+    // The contacts written to in this run; a dry run changes nothing
+    after: job.dryRun ? null : syncedThisRun
+  });
+
+  console.log(`Backfill job ${job.id} ${job.status}: ${job.processed} of ${job.total} processed`);
+  return { statusCode: 200 };
+};
+
+// Backfill one session for the job's results. Never throws: a failed order
+// is recorded and the job moves on.
+async function runSession(stripe, keapToken, sessionId, dryRun) {
+  try {
+    const detail = await backfillSession(stripe, keapToken, sessionId, dryRun);
+    // The order data in a dry run's rows is more than the job needs to keep
+    return {
+      sessionId: detail.sessionId,
+      email: detail.email || null,
+      status: detail.status,
+      reason: detail.reason || null
+    };
+  } catch (error) {
+    console.error(`Backfill failed for ${sessionId}:`, error.message);
+    return { sessionId, email: null, status: 'error', error: error.message };
+  }
+}
+
+// How many sessions the job will look at, for the progress bar
+async function countSessions(stripe, limit) {
+  let count = 0;
+  let startingAfter = null;
+
+  while (!limit || count < limit) {
+    const page = await stripe.checkout.sessions.list({
+      status: 'complete',
+      limit: 100,
+      ...(startingAfter ? { starting_after: startingAfter } : {})
+    });
+    count += page.data.length;
+    if (!page.has_more || page.data.length === 0) break;
+    startingAfter = page.data[page.data.length - 1].id;
+  }
+
+  return limit ? Math.min(count, limit) : count;
+}
@@ -1,7 +1,54 @@
 // netlify/functions/backfill-keap.js
-// One-time backfill function to sync missed Stripe orders to Keap
+// Syncs Stripe orders that never reached Keap.
+//
+// The default backfill looks at the most recent completed sessions and
+// syncs buyers who have no order data in Keap at all. It runs within one
+// request, so keep `limit` small; the admin runs it as a background job
+// instead (backfill-status, backfill-keap-background). Reconcile mode
+// ({ mode: 'reconcile' }) checks every order in a date range against its
+// buyer's contact and reports what differs; sending { fix: [...] } back
+// with the rows to correct fixes only those.
 
 const Stripe = require('stripe');
+const { requireRole } = require('./utils/auth');
+const { PRE_ORDER_TAG, getProduct } = require('./utils/catalog');
+const { formatMoney } = require('./utils/currency');
+const { parseDateRange } = require('./utils/orders');
+const { recordAudit } = require('./utils/audit');
+
+// Custom field IDs
+const CUSTOM_FIELDS = {
+  PRODUCT_ORDERED: 303,
+  ORDER_SUMMARY: 305,
+  PRODUCT_PRICE: 307,
+  SHIPPING_ADDRESS: 309,
+  PAYMENT_ID: 311,
+  ORDER_DATE: 313,
+  HAS_PREORDER: 323,
+  ORDER_HISTORY: 325,
+  TOTAL_SPENT: 327, // in the Stripe account's settlement currency
+  ORDER_CURRENCY: 337 // currency of PRODUCT_PRICE
+};
+
+const HISTORY_SEPARATOR = '\n---\n';
+
+// The amount at the end of an ORDER_HISTORY entry and the payment ID that
+// marks it. Entries from before the marker was added have no ID.
+const HISTORY_ENTRY_PATTERN = /\(([^()]*)\)(?: \[(\w+)\])?$/;
+
+const DISCREPANCY_TYPES = ['missing_contact', 'missing_order', 'amount_mismatch', 'missing_tags'];
+
+// Contacts looked up per reconcile request. Each takes two Keap calls, so
+// the report comes back in pages (nextCursor) to stay within the function
+// timeout.
+const MAX_RECONCILE_CONTACTS = 20;
+
+// Fixes accepted per request. The admin sends the selected rows in chunks
+// of this size.
+const MAX_FIX_BATCH_SIZE = 5;
+
+// Pause between fixes to stay under Keap's request rate limit
+const FIX_ROW_DELAY_MS = 250;
 
 function getStripe() {
   const secretKey = process.env.STRIPE_SECRET_KEY;
@@ -27,11 +74,9 @@ exports.handler = async (event, context) => {
   }
 
   // Auth check
-  const authHeader = event.headers['authorization'];
-  const adminKey = process.env.ADMIN_API_KEY;
-
-  if (!adminKey || authHeader !== `Bearer ${adminKey}`) {
-    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+  const auth = requireRole(event, 'owner');
+  if (auth.error) {
+    return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error }) };
   }
 
   const keapToken = process.env.KEAP_ACCESS_TOKEN;
@@ -47,6 +92,10 @@ exports.handler = async (event, context) => {
     // Use defaults
   }
 
+  if (options.mode === 'reconcile') {
+    return reconcile(event, auth.user, keapToken, options, headers);
+  }
+
   const dryRun = options.dryRun !== false; // Default to dry run for safety
   const limit = options.limit || 100;
 
@@ -74,88 +123,13 @@ exports.handler = async (event, context) => {
       results.processed++;
 
       try {
-        // Retrieve full session details
-        const session = await stripe.checkout.sessions.retrieve(sessionSummary.id);
-
-        // Handle both old and new Stripe API versions for shipping
-        const shippingDetails = session.shipping_details || session.collected_information?.shipping_details;
-
-        const customerEmail = session.customer_details?.email;
-        const customerName = session.customer_details?.name || '';
-
-        if (!customerEmail) {
+        const detail = await backfillSession(stripe, keapToken, sessionSummary.id, dryRun);
+        if (detail.status === 'skipped') {
           results.skipped++;
-          results.details.push({
-            sessionId: session.id,
-            status: 'skipped',
-            reason: 'No customer email'
-          });
-          continue;
-        }
-
-        // Check if contact exists in Keap and has order data
-        const existingContact = await findKeapContact(keapToken, customerEmail);
-        const hasOrderData = existingContact && hasExistingOrderData(existingContact);
-
-        if (hasOrderData) {
-          results.skipped++;
-          results.details.push({
-            sessionId: session.id,
-            email: customerEmail,
-            status: 'skipped',
-            reason: 'Already has order data in Keap'
-          });
-          continue;
-        }
-
-        // Parse cart items from metadata
-        let cartItems = [];
-        let hasPreOrder = false;
-        try {
-          cartItems = JSON.parse(session.metadata?.cartItems || '[]');
-          hasPreOrder = session.metadata?.hasPreOrder === 'true';
-        } catch (e) {
-          console.error('Failed to parse cart items for session:', session.id);
-        }
-
-        const orderData = {
-          sessionId: session.id,
-          email: customerEmail,
-          name: customerName,
-          shippingAddress: shippingDetails?.address ? {
-            line1: shippingDetails.address.line1,
-            line2: shippingDetails.address.line2 || '',
-            city: shippingDetails.address.city,
-            state: shippingDetails.address.state,
-            postalCode: shippingDetails.address.postal_code,
-            country: shippingDetails.address.country
-          } : null,
-          cartItems,
-          hasPreOrder,
-          amountPaid: session.amount_total / 100,
-          paymentId: session.payment_intent,
-          created: new Date(session.created * 1000).toISOString()
-        };
-
-        if (dryRun) {
-          results.synced++;
-          results.details.push({
-            sessionId: session.id,
-            email: customerEmail,
-            name: customerName,
-            status: 'would_sync',
-            orderData
-          });
         } else {
-          // Actually sync to Keap
-          await syncToKeap(keapToken, orderData, session.metadata?.emailConsent === 'true');
           results.synced++;
-          results.details.push({
-            sessionId: session.id,
-            email: customerEmail,
-            status: 'synced'
-          });
         }
+        results.details.push(detail);
 
       } catch (sessionError) {
         results.errors.push({
@@ -165,6 +139,21 @@ exports.handler = async (event, context) => {
       }
     }
 
+    await recordAudit(event, auth.user, 'keap.backfill', {
+      details: {
+        dryRun,
+        limit,
+        processed: results.processed,
+        synced: results.synced,
+        skipped: results.skipped,
+        errors: results.errors.length
+      },
+      // The contacts written to; a dry run changes nothing
+      after: dryRun ? null : results.details
+        .filter(detail => detail.status === 'synced')
+        .map(detail => ({ orderId: detail.sessionId, email: detail.email }))
+    });
+
     return {
       statusCode: 200,
       headers,
@@ -188,6 +177,374 @@ exports.handler = async (event, context) => {
   }
 };
 
+// Backfill one completed session: sync it unless the buyer already has
+// order data in Keap. Returns its row for the results; throws if Stripe or
+// Keap fails.
+async function backfillSession(stripe, keapToken, sessionId, dryRun) {
+  // Retrieve full session details, with the settled amount for TOTAL_SPENT
+  const session = await stripe.checkout.sessions.retrieve(sessionId, {
+    expand: ['payment_intent.latest_charge.balance_transaction']
+  });
+  const customerEmail = session.customer_details?.email;
+  const customerName = session.customer_details?.name || '';
+
+  if (!customerEmail) {
+    return {
+      sessionId: session.id,
+      status: 'skipped',
+      reason: 'No customer email'
+    };
+  }
+
+  // Check if contact exists in Keap and has order data
+  const existingContact = await findKeapContact(keapToken, customerEmail);
+  const hasOrderData = existingContact && hasExistingOrderData(existingContact);
+
+  if (hasOrderData) {
+    return {
+      sessionId: session.id,
+      email: customerEmail,
+      status: 'skipped',
+      reason: 'Already has order data in Keap'
+    };
+  }
+
+  const orderData = buildOrderData(session);
+
+  if (dryRun) {
+    return {
+      sessionId: session.id,
+      email: customerEmail,
+      name: customerName,
+      status: 'would_sync',
+      orderData
+    };
+  }
+
+  // Actually sync to Keap
+  await syncToKeap(keapToken, orderData, session.metadata?.emailConsent === 'true');
+  return {
+    sessionId: session.id,
+    email: customerEmail,
+    status: 'synced'
+  };
+}
+
+// Shared with backfill-keap-background, which runs the same backfill as a job
+exports.backfillSession = backfillSession;
+
+// What syncToKeap writes for a session retrieved with
+// payment_intent.latest_charge.balance_transaction expanded
+function buildOrderData(session) {
+  const balanceTransaction = session.payment_intent?.latest_charge?.balance_transaction;
+
+  // Handle both old and new Stripe API versions for shipping
+  const shippingDetails = session.shipping_details || session.collected_information?.shipping_details;
+
+  // Parse cart items from metadata
+  let cartItems = [];
+  let hasPreOrder = false;
+  try {
+    cartItems = JSON.parse(session.metadata?.cartItems || '[]');
+    hasPreOrder = session.metadata?.hasPreOrder === 'true';
+  } catch (e) {
+    console.error('Failed to parse cart items for session:', session.id);
+  }
+
+  return {
+    sessionId: session.id,
+    email: session.customer_details?.email,
+    name: session.customer_details?.name || '',
+    shippingAddress: shippingDetails?.address ? {
+      line1: shippingDetails.address.line1,
+      line2: shippingDetails.address.line2 || '',
+      city: shippingDetails.address.city,
+      state: shippingDetails.address.state,
+      postalCode: shippingDetails.address.postal_code,
+      country: shippingDetails.address.country
+    } : null,
+    cartItems,
+    hasPreOrder,
+    currency: session.currency,
+    amountPaid: session.amount_total / 100,
+    amountSettled: (balanceTransaction?.amount || 0) / 100,
+    promoCode: session.metadata?.promoCode || null,
+    discountAmount: (session.total_details?.amount_discount || 0) / 100,
+    productTotal: (session.amount_subtotal - (session.total_details?.amount_discount || 0)) / 100,
+    paymentId: session.payment_intent?.id || null,
+    created: new Date(session.created * 1000).toISOString()
+  };
+}
+
+// Reconcile mode. Without `fix`, reports how Keap differs from Stripe for
+// completed orders in { from, to } (YYYY-MM-DD), a page of contacts at a
+// time: send nextCursor back as `cursor` until it comes back null. With
+// fix: [{ sessionId, type }], fixes those rows from the report.
+async function reconcile(event, user, keapToken, options, headers) {
+  try {
+    const stripe = getStripe();
+
+    if (options.fix !== undefined) {
+      const fixes = options.fix;
+      if (!Array.isArray(fixes) || fixes.length === 0 || fixes.length > MAX_FIX_BATCH_SIZE) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Send between 1 and ${MAX_FIX_BATCH_SIZE} fixes per request` }) };
+      }
+
+      const results = [];
+      for (let i = 0; i < fixes.length; i++) {
+        if (i > 0) {
+          await sleep(FIX_ROW_DELAY_MS);
+        }
+        const result = await fixDiscrepancy(stripe, keapToken, fixes[i], event, user);
+        results.push({ index: i, sessionId: fixes[i]?.sessionId, type: fixes[i]?.type, ...result });
+      }
+
+      const succeeded = results.filter(r => r.success).length;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: succeeded === results.length,
+          succeeded,
+          failed: results.length - succeeded,
+          results
+        })
+      };
+    }
+
+    const created = parseDateRange(options.from, options.to);
+    if (created?.error) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: created.error }) };
+    }
+
+    const report = await reportDiscrepancies(stripe, keapToken, created, options.cursor || null);
+    return { statusCode: 200, headers, body: JSON.stringify({ success: true, ...report }) };
+
+  } catch (error) {
+    console.error('Reconcile error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Reconcile failed', message: error.message })
+    };
+  }
+}
+
+// One page of the reconcile report: every completed session after `cursor`
+// (newest first) until MAX_RECONCILE_CONTACTS contacts have been looked up
+async function reportDiscrepancies(stripe, accessToken, created, cursor) {
+  const contacts = new Map(); // lowercased email -> Keap state, or null
+  const discrepancies = [];
+  let checked = 0;
+  let lastSessionId = cursor;
+  let nextCursor = null;
+
+  pages:
+  while (true) {
+    const page = await stripe.checkout.sessions.list({
+      status: 'complete',
+      limit: 100,
+      expand: ['data.payment_intent'],
+      ...(created ? { created } : {}),
+      ...(lastSessionId ? { starting_after: lastSessionId } : {})
+    });
+
+    for (const session of page.data) {
+      const email = session.customer_details?.email;
+      const key = email?.toLowerCase();
+
+      if (key && !contacts.has(key) && contacts.size >= MAX_RECONCILE_CONTACTS) {
+        nextCursor = lastSessionId;
+        break pages;
+      }
+
+      lastSessionId = session.id;
+      checked++;
+
+      // Nothing to match without an email, as in the default backfill
+      if (!email) continue;
+
+      if (!contacts.has(key)) {
+        contacts.set(key, await loadKeapState(accessToken, email));
+      }
+      discrepancies.push(...compareOrder(buildOrderData(session), contacts.get(key)));
+    }
+
+    if (!page.has_more || page.data.length === 0) break;
+  }
+
+  return { checked, discrepancies, nextCursor };
+}
+
+// A buyer's contact with custom fields and the names of their tags, or null
+// if Keap has no contact for the email
+async function loadKeapState(accessToken, email) {
+  const contact = await findKeapContact(accessToken, email);
+  if (!contact) return null;
+
+  const response = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contact.id}/tags`,
+    {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Contact tags lookup failed: ${response.status}`);
+  }
+
+  const tags = new Set(((await response.json()).tags || []).map(applied => applied.tag?.name));
+  return { contact, tags };
+}
+
+// How one order differs from the buyer's Keap contact, as report rows
+function compareOrder(orderData, state) {
+  const row = {
+    sessionId: orderData.sessionId,
+    paymentId: orderData.paymentId,
+    email: orderData.email,
+    name: orderData.name,
+    created: orderData.created,
+    amount: formatMoney(orderData.amountPaid, orderData.currency)
+  };
+
+  if (!state) {
+    return [{ ...row, type: 'missing_contact', detail: 'No Keap contact with this email' }];
+  }
+
+  const fields = state.contact.custom_fields || [];
+  const field = id => fields.find(f => f.id === id)?.content || '';
+
+  // The order is recorded if it's the contact's latest order or in their history
+  const entry = findHistoryEntry(field(CUSTOM_FIELDS.ORDER_HISTORY), orderData);
+  const isLatest = !!orderData.paymentId && field(CUSTOM_FIELDS.PAYMENT_ID) === orderData.paymentId;
+
+  if (!entry && !isLatest) {
+    return [{ ...row, type: 'missing_order', detail: 'Not in ORDER_HISTORY', contactId: state.contact.id }];
+  }
+
+  const found = [];
+  const productTotal = orderData.productTotal.toFixed(2);
+
+  if (entry && entry.amount !== row.amount) {
+    found.push({ ...row, type: 'amount_mismatch', detail: `ORDER_HISTORY has ${entry.amount}`, contactId: state.contact.id });
+  } else if (isLatest && field(CUSTOM_FIELDS.PRODUCT_PRICE) !== productTotal) {
+    found.push({
+      ...row,
+      type: 'amount_mismatch',
+      detail: `PRODUCT_PRICE is ${field(CUSTOM_FIELDS.PRODUCT_PRICE) || 'empty'}, Stripe charged ${productTotal}`,
+      contactId: state.contact.id
+    });
+  }
+
+  const missingTags = orderTags(orderData.cartItems, new Date(orderData.created)).filter(tag => !state.tags.has(tag));
+  if (missingTags.length > 0) {
+    found.push({ ...row, type: 'missing_tags', detail: missingTags.join(', '), tags: missingTags, contactId: state.contact.id });
+  }
+
+  return found;
+}
+
+// Fix one reported discrepancy. Keap is checked again first, so a row
+// that has been fixed since the report is left alone. Never throws.
+async function fixDiscrepancy(stripe, accessToken, fix, event, user) {
+  if (!fix || typeof fix.sessionId !== 'string' || !DISCREPANCY_TYPES.includes(fix.type)) {
+    return { success: false, error: `Each fix needs a sessionId and a type (${DISCREPANCY_TYPES.join(', ')})` };
+  }
+
+  try {
+    const session = await stripe.checkout.sessions.retrieve(fix.sessionId, {
+      expand: ['payment_intent.latest_charge.balance_transaction']
+    });
+    if (session.status !== 'complete') {
+      return { success: false, error: `No completed order with ID ${fix.sessionId}` };
+    }
+
+    const orderData = buildOrderData(session);
+    if (!orderData.email) {
+      return { success: false, error: 'This order has no customer email' };
+    }
+
+    const state = await loadKeapState(accessToken, orderData.email);
+    const current = compareOrder(orderData, state).find(discrepancy => discrepancy.type === fix.type);
+    if (!current) {
+      return { success: true, email: orderData.email, changed: false, message: 'Keap already matches Stripe' };
+    }
+
+    let contactId = state?.contact.id;
+    if (fix.type === 'missing_contact' || fix.type === 'missing_order') {
+      ({ contactId } = await syncToKeap(accessToken, orderData, session.metadata?.emailConsent === 'true'));
+    } else if (fix.type === 'amount_mismatch') {
+      await fixOrderAmount(accessToken, state.contact, orderData);
+    } else {
+      for (const tagName of current.tags) {
+        const tagId = await getOrCreateTag(accessToken, tagName);
+        await applyTagToContact(accessToken, contactId, tagId);
+      }
+    }
+
+    await recordAudit(event, user, 'keap.reconcile', {
+      orderId: session.id,
+      contactId,
+      email: orderData.email,
+      before: { type: fix.type, detail: current.detail },
+      details: { paymentId: orderData.paymentId }
+    });
+
+    return { success: true, email: orderData.email, contactId, changed: true };
+  } catch (error) {
+    console.error(`Reconcile fix failed for ${fix.sessionId}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Correct the amount Keap shows for an order: its ORDER_HISTORY entry and,
+// if it's the contact's latest order, PRODUCT_PRICE. TOTAL_SPENT adds up
+// settled amounts and is left alone.
+async function fixOrderAmount(accessToken, contact, orderData) {
+  const fields = contact.custom_fields || [];
+  const history = fields.find(f => f.id === CUSTOM_FIELDS.ORDER_HISTORY)?.content || '';
+  const customFields = [];
+
+  const entry = findHistoryEntry(history, orderData);
+  if (entry) {
+    entry.entries[entry.index] = entry.entries[entry.index].replace(
+      HISTORY_ENTRY_PATTERN,
+      (match, amount, paymentId) => `(${formatMoney(orderData.amountPaid, orderData.currency)})${paymentId ? ` [${paymentId}]` : ''}`
+    );
+    customFields.push({ id: CUSTOM_FIELDS.ORDER_HISTORY, content: entry.entries.join(HISTORY_SEPARATOR) });
+  }
+
+  if (orderData.paymentId && fields.find(f => f.id === CUSTOM_FIELDS.PAYMENT_ID)?.content === orderData.paymentId) {
+    customFields.push(
+      { id: CUSTOM_FIELDS.PRODUCT_PRICE, content: orderData.productTotal.toFixed(2) },
+      { id: CUSTOM_FIELDS.ORDER_CURRENCY, content: orderData.currency.toUpperCase() }
+    );
+  }
+
+  const response = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contact.id}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ custom_fields: customFields })
+    }
+  );
+
+  if (!response.ok) {
+    const errorBody = await response.text();
+    throw new Error(`Contact update failed: ${response.status} - ${errorBody}`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 // Find contact in Keap by email
 async function findKeapContact(accessToken, email) {
   const response = await fetch(
@@ -229,7 +586,12 @@ async function syncToKeap(accessToken, orderData, emailConsent) {
     shippingAddress,
     cartItems,
     hasPreOrder,
+    currency,
     amountPaid,
+    amountSettled,
+    promoCode,
+    discountAmount,
+    productTotal,
     paymentId,
     created
   } = orderData;
@@ -244,53 +606,58 @@ async function syncToKeap(accessToken, orderData, emailConsent) {
     ? `${shippingAddress.line1}${shippingAddress.line2 ? '\n' + shippingAddress.line2 : ''}\n${shippingAddress.city}, ${shippingAddress.state} ${shippingAddress.postalCode}\n${shippingAddress.country}`
     : 'Not provided';
 
-  // Build order summary
-  const orderSummary = cartItems.map(item =>
+  // Build order summary, noting the promo code that drove the sale
+  let orderSummary = cartItems.map(item =>
     `${item.quantity}x ${item.productName}`
   ).join('\n');
 
-  const totalPrice = cartItems.reduce((sum, item) =>
-    sum + (item.productPrice * item.quantity), 0
-  );
+  if (promoCode) {
+    orderSummary += `\nPromo code ${promoCode} (-${formatMoney(discountAmount, currency)})`;
+  }
 
   const productIds = cartItems.map(item => item.productId).join(', ');
 
-  // Custom field IDs
-  const CUSTOM_FIELDS = {
-    PRODUCT_ORDERED: 303,
-    ORDER_SUMMARY: 305,
-    PRODUCT_PRICE: 307,
-    SHIPPING_ADDRESS: 309,
-    PAYMENT_ID: 311,
-    ORDER_DATE: 313,
-    HAS_PREORDER: 323,
-    ORDER_HISTORY: 325,
-    TOTAL_SPENT: 327
-  };
-
-  // Format order for history
+  // Format order for history. The payment ID marks the entry, as in
+  // stripe-webhook, so the same order is never added twice.
   const orderDate = new Date(created);
-  const orderDateFormatted = orderDate.toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric'
-  });
-  const orderHistoryEntry = `${orderDateFormatted}: ${orderSummary.replace('\n', ', ')} ($${amountPaid.toFixed(2)})`;
+  const orderHistoryEntry = `${formatHistoryDate(orderDate)}: ${orderSummary.replace('\n', ', ')} (${formatMoney(amountPaid, currency)})${paymentId ? ` [${paymentId}]` : ''}`;
+
+  // Search for existing contact FIRST (needed to decide whether to include addresses)
+  const existingContact = await findKeapContact(accessToken, email);
+
+  // Add to what the contact already has rather than replacing it, so a
+  // repeat buyer's earlier orders are kept
+  const existingFields = existingContact?.custom_fields || [];
+  const existingHistory = existingFields.find(f => f.id === CUSTOM_FIELDS.ORDER_HISTORY)?.content || '';
+  const previousTotal = parseFloat(existingFields.find(f => f.id === CUSTOM_FIELDS.TOTAL_SPENT)?.content) || 0;
+  const latestOrderDate = existingFields.find(f => f.id === CUSTOM_FIELDS.ORDER_DATE)?.content || '';
+
+  if (findHistoryEntry(existingHistory, orderData)) {
+    console.log(`Order ${paymentId} already in ORDER_HISTORY, leaving contact ${existingContact.id} as is`);
+    return { success: true, contactId: existingContact.id, alreadyRecorded: true };
+  }
 
   const customFields = [
-    { id: CUSTOM_FIELDS.PRODUCT_ORDERED, content: productIds },
-    { id: CUSTOM_FIELDS.ORDER_SUMMARY, content: orderSummary },
-    { id: CUSTOM_FIELDS.PRODUCT_PRICE, content: totalPrice.toString() },
-    { id: CUSTOM_FIELDS.SHIPPING_ADDRESS, content: shippingAddressFormatted },
-    { id: CUSTOM_FIELDS.PAYMENT_ID, content: paymentId },
-    { id: CUSTOM_FIELDS.ORDER_DATE, content: orderDate.toISOString().split('T')[0] },
-    { id: CUSTOM_FIELDS.HAS_PREORDER, content: hasPreOrder ? 'Yes' : 'No' },
-    { id: CUSTOM_FIELDS.ORDER_HISTORY, content: orderHistoryEntry },
-    { id: CUSTOM_FIELDS.TOTAL_SPENT, content: amountPaid.toFixed(2) }
+    { id: CUSTOM_FIELDS.ORDER_HISTORY, content: insertHistoryEntry(existingHistory, orderHistoryEntry, orderDate) },
+    { id: CUSTOM_FIELDS.TOTAL_SPENT, content: (previousTotal + amountSettled).toFixed(2) }
   ];
 
-  // Search for existing contact FIRST (needed to decide whether to include addresses)
-  const existingContact = await findKeapContact(accessToken, email);
+  // The "latest order" fields only move forward: an older missed order
+  // doesn't replace a newer one the contact already shows
+  const orderDateIso = orderDate.toISOString().split('T')[0];
+  if (orderDateIso >= latestOrderDate) {
+    customFields.push(
+      { id: CUSTOM_FIELDS.PRODUCT_ORDERED, content: productIds },
+      { id: CUSTOM_FIELDS.ORDER_SUMMARY, content: orderSummary },
+      // Product total after discount, before shipping, as Stripe charged it
+      { id: CUSTOM_FIELDS.PRODUCT_PRICE, content: productTotal.toFixed(2) },
+      { id: CUSTOM_FIELDS.ORDER_CURRENCY, content: currency.toUpperCase() },
+      { id: CUSTOM_FIELDS.SHIPPING_ADDRESS, content: shippingAddressFormatted },
+      { id: CUSTOM_FIELDS.PAYMENT_ID, content: paymentId },
+      { id: CUSTOM_FIELDS.ORDER_DATE, content: orderDateIso },
+      { id: CUSTOM_FIELDS.HAS_PREORDER, content: hasPreOrder ? 'Yes' : 'No' }
+    );
+  }
 
   // NOTE: We skip native Keap address fields entirely - Keap's API rejects them with
   // "SHIPPING Country Code is invalid, SHIPPING Region is invalid" even for valid data.
@@ -357,29 +724,13 @@ async function syncToKeap(accessToken, orderData, emailConsent) {
   }
 
   // Apply tags
-  const tags = [
-    'Destiny Cards - Order Received',
-    'Destiny Cards - 1st Edition',
-    'Destiny Cards - Awaiting Shipment'
-  ];
-
-  for (const item of cartItems) {
-    if (item.productId === 'cards-only') {
-      tags.push('Destiny Cards - Cards Only');
-    } else if (item.productId === 'cards-book-bundle') {
-      tags.push('Destiny Cards - Cards + Book Bundle');
-    }
-  }
+  const tags = [...orderTags(cartItems, orderDate), 'Destiny Cards - Awaiting Shipment'];
 
   if (hasPreOrder) {
-    tags.push('Destiny Cards - Pre-Order (Book Ships March 2026)');
+    tags.push(PRE_ORDER_TAG);
     tags.push('Destiny Cards - Pending Book Shipment');
   }
 
-  // Add date tag based on order date
-  const monthYear = orderDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-  tags.push(`Destiny Cards - ${monthYear}`);
-
   // Apply each tag
   for (const tagName of tags) {
     try {
@@ -392,9 +743,84 @@ async function syncToKeap(accessToken, orderData, emailConsent) {
     }
   }
 
+  // The order recovers any checkout they abandoned before (see stripe-webhook)
+  try {
+    await removeTagByName(accessToken, contactId, 'Destiny Cards - Abandoned Checkout');
+  } catch (tagError) {
+    console.error('Failed to remove abandoned checkout tag:', tagError.message);
+  }
+
   return { success: true, contactId };
 }
 
+// Tags every order gets and keeps. Awaiting Shipment and the pre-order tags
+// come off again as the order ships, so reconcile doesn't expect them.
+function orderTags(cartItems, orderDate) {
+  const tags = [
+    'Destiny Cards - Order Received',
+    'Destiny Cards - 1st Edition'
+  ];
+
+  for (const item of cartItems) {
+    const product = getProduct(item.productId);
+    if (product?.keapTag && !tags.includes(product.keapTag)) {
+      tags.push(product.keapTag);
+    }
+  }
+
+  // Add date tag based on order date
+  const monthYear = orderDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  tags.push(`Destiny Cards - ${monthYear}`);
+
+  return tags;
+}
+
+// e.g. "Mar 5, 2026", the date at the start of an ORDER_HISTORY entry
+function formatHistoryDate(date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+// The ORDER_HISTORY entry for an order, or null. Entries are matched on the
+// payment ID they're marked with; older unmarked entries on their date and
+// amount. Refund and dispute entries (negative amounts) are skipped.
+function findHistoryEntry(history, orderData) {
+  const entries = history ? history.split(HISTORY_SEPARATOR) : [];
+  const date = formatHistoryDate(orderData.created);
+  const amountPaid = formatMoney(orderData.amountPaid, orderData.currency);
+
+  for (let index = 0; index < entries.length; index++) {
+    const match = entries[index].match(HISTORY_ENTRY_PATTERN);
+    if (!match || match[1].startsWith('-')) continue;
+
+    const [, amount, paymentId] = match;
+    const matches = paymentId
+      ? paymentId === orderData.paymentId
+      : entries[index].startsWith(`${date}: `) && amount === amountPaid;
+    if (matches) {
+      return { index, amount, entries };
+    }
+  }
+
+  return null;
+}
+
+// Add an entry to ORDER_HISTORY where its date belongs (newest first)
+function insertHistoryEntry(history, entry, orderDate) {
+  if (!history) return entry;
+
+  const entries = history.split(HISTORY_SEPARATOR);
+  const day = Date.parse(formatHistoryDate(orderDate));
+  let index = entries.findIndex(existing => Date.parse(existing.split(': ')[0]) < day);
+  if (index === -1) index = entries.length;
+
+  entries.splice(index, 0, entry);
+  return entries.join(HISTORY_SEPARATOR);
+}
+
 async function getOrCreateTag(accessToken, tagName) {
   const searchResponse = await fetch(
     `https://api.infusionsoft.com/crm/rest/v1/tags?name=${encodeURIComponent(tagName)}`,
@@ -458,3 +884,32 @@ async function applyTagToContact(accessToken, contactId, tagId) {
     throw new Error(`Tag application failed: ${response.status}`);
   }
 }
+
+async function removeTagByName(accessToken, contactId, tagName) {
+  const searchResponse = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/tags?name=${encodeURIComponent(tagName)}`,
+    {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    }
+  );
+
+  if (!searchResponse.ok) {
+    throw new Error(`Tag search failed: ${searchResponse.status}`);
+  }
+
+  const tagId = (await searchResponse.json()).tags?.[0]?.id;
+  if (!tagId) return;
+
+  const response = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contactId}/tags/${tagId}`,
+    {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    }
+  );
+
+  // 404 is ok - tag wasn't applied
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Tag removal failed: ${response.status}`);
+  }
+}
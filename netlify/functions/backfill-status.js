@@ -0,0 +1,118 @@
+// netlify/functions/backfill-status.js
+// Progress of the Keap backfill job (see utils/backfill-jobs), polled by the
+// admin while it runs. POST { action } controls the job:
+//   start   { dryRun, limit } queues a new job
+//   resume  queues an interrupted or failed job again, to continue after its cursor
+//   cancel  stops the job before its next order
+// After start or resume the admin calls backfill-keap-background with the
+// job's ID to run it.
+//
+// Every change is conditional on the job as read here (see
+// utils/backfill-jobs); if the runner saved progress in between, the
+// request fails with 409 and can simply be sent again.
+
+const { requireRole } = require('./utils/auth');
+const { readJob, saveJob, createJob, isActive, requestCancel } = require('./utils/backfill-jobs');
+
+// Most sessions one job will look at
+const MAX_JOB_LIMIT = 5000;
+
+const CHANGED_ERROR = 'The backfill changed while this was being saved. Please try again.';
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  // Auth check
+  const auth = requireRole(event, 'owner');
+  if (auth.error) {
+    return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error }) };
+  }
+
+  try {
+    const { job, etag } = await readJob(event);
+
+    if (event.httpMethod === 'GET') {
+      return { statusCode: 200, headers, body: JSON.stringify({ job }) };
+    }
+
+    let options;
+    try {
+      options = JSON.parse(event.body || '{}');
+    } catch (e) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    if (options.action === 'start') {
+      if (job && isActive(job)) {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: 'A backfill is already running', job }) };
+      }
+
+      const limit = options.limit === undefined || options.limit === null ? null : parseInt(options.limit, 10);
+      if (limit !== null && !(limit >= 1 && limit <= MAX_JOB_LIMIT)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `limit must be between 1 and ${MAX_JOB_LIMIT}` }) };
+      }
+
+      const created = createJob({ dryRun: options.dryRun !== false, limit }, auth.user);
+      if (!(await saveJob(event, created, etag))) {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: CHANGED_ERROR }) };
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ job: created }) };
+    }
+
+    if (options.action === 'resume') {
+      if (!job || (job.status !== 'interrupted' && job.status !== 'failed')) {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: 'There is no stopped backfill to resume', job }) };
+      }
+
+      const resumed = { ...job, status: 'queued', message: null };
+      if (!(await saveJob(event, resumed, etag))) {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: CHANGED_ERROR }) };
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ job: resumed }) };
+    }
+
+    if (options.action === 'cancel') {
+      if (!job || (!isActive(job) && job.status !== 'interrupted')) {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: 'There is no backfill to cancel', job }) };
+      }
+
+      await requestCancel(event, job.id);
+
+      // A running job stops itself before its next order; one that isn't
+      // running is cancelled here
+      if (job.status === 'running') {
+        return { statusCode: 200, headers, body: JSON.stringify({ job: { ...job, cancelRequested: true } }) };
+      }
+      const cancelled = {
+        ...job,
+        status: 'cancelled',
+        finishedAt: new Date().toISOString(),
+        message: `Cancelled by ${auth.user.username}`
+      };
+      if (!(await saveJob(event, cancelled, etag))) {
+        // Picked up or saved by a run meanwhile; the cancel request stops it
+        return { statusCode: 200, headers, body: JSON.stringify({ job: { ...job, cancelRequested: true } }) };
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ job: cancelled }) };
+    }
+
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'action must be start, resume or cancel' }) };
+
+  } catch (error) {
+    console.error('Backfill status error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: error.message }) };
+  }
+};
@@ -1,5 +1,28 @@
 // netlify/functions/check-fulfillment.js
-// Checks fulfillment status for a single order from Keap
+// Checks fulfillment status for a single order. Orders keep their own
+// fulfillment record (see utils/fulfillment); orders shipped before those
+// records existed fall back to the tracking fields on the Keap contact.
+// Opening an order this way is recorded in the audit log.
+
+const Stripe = require('stripe');
+const { requireRole } = require('./utils/auth');
+const {
+  findOrder,
+  orderMetadata,
+  readFulfillment,
+  hasFulfillmentRecord,
+  getKeapShipments,
+  keapFulfillmentForOrder
+} = require('./utils/fulfillment');
+const { recordAudit } = require('./utils/audit');
+
+function getStripe() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+  return new Stripe(secretKey);
+}
 
 exports.handler = async (event, context) => {
   const headers = {
@@ -17,81 +40,46 @@ exports.handler = async (event, context) => {
   }
 
   // Auth check
-  const authHeader = event.headers['authorization'];
-  const adminKey = process.env.ADMIN_API_KEY;
-
-  if (!adminKey || authHeader !== `Bearer ${adminKey}`) {
-    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
-  }
-
-  const email = event.queryStringParameters?.email;
-  if (!email) {
-    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Email parameter required' }) };
+  const auth = requireRole(event, 'viewer');
+  if (auth.error) {
+    return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error }) };
   }
 
-  const keapToken = process.env.KEAP_ACCESS_TOKEN;
-  if (!keapToken) {
-    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Keap not configured' }) };
+  const orderId = event.queryStringParameters?.orderId;
+  if (!orderId) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'orderId parameter required' }) };
   }
 
   try {
-    // Search for contact in Keap
-    const searchResponse = await fetch(
-      `https://api.infusionsoft.com/crm/rest/v1/contacts?email=${encodeURIComponent(email)}&optional_properties=custom_fields`,
-      {
-        headers: {
-          'Authorization': `Bearer ${keapToken}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (!searchResponse.ok) {
-      if (searchResponse.status === 429) {
-        return {
-          statusCode: 429,
-          headers,
-          body: JSON.stringify({ error: 'Rate limited. Please wait a moment.' })
-        };
-      }
-      throw new Error(`Keap search failed: ${searchResponse.status}`);
+    const order = await findOrder(getStripe(), orderId);
+    if (!order) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: `No order with ID ${orderId}` }) };
     }
 
-    const searchData = await searchResponse.json();
+    await recordAudit(event, auth.user, 'order.view', { orderId: order.id, email: order.customer_details?.email });
 
-    if (!searchData.contacts || searchData.contacts.length === 0) {
+    const metadata = orderMetadata(order);
+
+    if (hasFulfillmentRecord(metadata)) {
+      const fulfillment = readFulfillment(metadata);
       return {
         statusCode: 200,
         headers,
         body: JSON.stringify({
-          found: false,
-          cardsShipped: false,
-          bookShipped: false
+          found: true,
+          source: 'order',
+          ...summarize(fulfillment.cards, fulfillment.book),
+          history: fulfillment.history
         })
       };
     }
 
-    const contact = searchData.contacts[0];
-    const customFields = contact.custom_fields || [];
-
-    // Custom field IDs for tracking numbers
-    const CARDS_TRACKING_ID = 315;
-    const BOOK_TRACKING_ID = 319;
+    const keapToken = process.env.KEAP_ACCESS_TOKEN;
+    if (!keapToken) {
+      return { statusCode: 500, headers, body: JSON.stringify({ error: 'Keap not configured' }) };
+    }
 
-    const cardsTrackingField = customFields.find(f => f.id === CARDS_TRACKING_ID);
-    const bookTrackingField = customFields.find(f => f.id === BOOK_TRACKING_ID);
-
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        found: true,
-        cardsShipped: !!(cardsTrackingField?.content),
-        bookShipped: !!(bookTrackingField?.content),
-        cardsTrackingNumber: cardsTrackingField?.content || null,
-        bookTrackingNumber: bookTrackingField?.content || null
-      })
-    };
+    return await checkKeapFulfillment(keapToken, order, headers);
 
   } catch (error) {
     console.error('Check fulfillment error:', error);
@@ -102,3 +90,66 @@ exports.handler = async (event, context) => {
     };
   }
 };
+
+// Response fields for the admin, from two shipment descriptions
+function summarize(cards, book) {
+  return {
+    cardsShipped: !!cards,
+    bookShipped: !!book,
+    cardsTrackingNumber: cards?.trackingNumber || null,
+    bookTrackingNumber: book?.trackingNumber || null,
+    cardsCarrier: cards?.carrierName || null,
+    bookCarrier: book?.carrierName || null,
+    cardsTrackingUrl: cards?.trackingUrl || null,
+    bookTrackingUrl: book?.trackingUrl || null,
+    cardsShippedAt: cards?.shippedAt || null,
+    bookShippedAt: book?.shippedAt || null
+  };
+}
+
+// Legacy orders: read the contact-level tracking fields, dated against the order
+async function checkKeapFulfillment(keapToken, order, headers) {
+  const email = order.customer_details?.email;
+  if (!email) {
+    return { statusCode: 200, headers, body: JSON.stringify({ found: false, cardsShipped: false, bookShipped: false }) };
+  }
+
+  let shipments;
+  try {
+    shipments = await getKeapShipments(keapToken, email);
+  } catch (error) {
+    if (error.status === 429) {
+      return {
+        statusCode: 429,
+        headers,
+        body: JSON.stringify({ error: 'Rate limited. Please wait a moment.' })
+      };
+    }
+    throw error;
+  }
+
+  if (!shipments.found) {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        found: false,
+        cardsShipped: false,
+        bookShipped: false
+      })
+    };
+  }
+
+  const fulfillment = keapFulfillmentForOrder(shipments, order.created);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      found: true,
+      source: 'keap',
+      ...summarize(fulfillment.cards, fulfillment.book),
+      history: fulfillment.history
+    })
+  };
+}
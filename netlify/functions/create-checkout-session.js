@@ -2,6 +2,20 @@
 // Creates a Stripe Checkout Session for embedded checkout
 
 const Stripe = require('stripe');
+const {
+  RESERVATION_MINUTES,
+  countCartUsage,
+  getInventoryLevels,
+  isReservationWithinStock
+} = require('./utils/inventory');
+const { findPromotionCode } = require('./utils/promotions');
+const { BOOK_RELEASE_DATE, PRODUCTS, MAX_QUANTITY_PER_PRODUCT, getProduct } = require('./utils/catalog');
+const { getShippingOptions } = require('./utils/shipping');
+const { DEFAULT_CURRENCY, isSupportedCurrency } = require('./utils/currency');
+const { addTaxToSession } = require('./utils/tax');
+
+// Marks sessions created here in their metadata (see releaseReservation)
+const SESSION_SOURCE = 'create-checkout-session';
 
 // Initialize Stripe lazily to ensure env vars are loaded
 function getStripe() {
@@ -12,46 +26,6 @@ function getStripe() {
   return new Stripe(secretKey);
 }
 
-// Product configuration - matches frontend
-const PRODUCTS = {
-  'cards-only': {
-    name: 'Destiny Cards - 1st Edition',
-    description: 'Complete 1st Edition Destiny Cards deck with 25+ Functional Philosophy cards, 10+ Resourceful State cards, and quick-start guide.',
-    price: 2000, // in cents
-    shipsNow: true
-  },
-  'cards-book-bundle': {
-    name: 'Destiny Cards + Rules To Live By Pre-Order Bundle',
-    description: 'Destiny Cards deck (ships now) + "Rules To Live By (But Not Believe)" book pre-order (ships March 2026). Items ship separately.',
-    price: 5500, // in cents
-    shipsNow: false,
-    splitShipment: true
-  }
-};
-
-// Shipping rates - define these in Stripe Dashboard for more control
-// These are created programmatically as fallback
-const SHIPPING_RATES = {
-  us_standard: {
-    display_name: 'Standard Shipping (US)',
-    amount: 500, // $5
-    min_days: 5,
-    max_days: 7
-  },
-  us_express: {
-    display_name: 'Express Shipping (US)',
-    amount: 1200, // $12
-    min_days: 2,
-    max_days: 3
-  },
-  international: {
-    display_name: 'International Shipping',
-    amount: 1500, // $15
-    min_days: 10,
-    max_days: 21
-  }
-};
-
 exports.handler = async (event, context) => {
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
@@ -75,26 +49,57 @@ exports.handler = async (event, context) => {
 
   try {
     const stripe = getStripe();
-    const { cartItems, customerEmail, emailConsent } = JSON.parse(event.body);
+    const {
+      cartItems: requestedItems,
+      customerEmail,
+      emailConsent,
+      releaseSessionId,
+      promoCode,
+      shippingCountry,
+      currency = DEFAULT_CURRENCY
+    } = JSON.parse(event.body);
+
+    if (!isSupportedCurrency(currency)) {
+      return {
+        statusCode: 400,
+        headers: { 'Access-Control-Allow-Origin': '*' },
+        body: JSON.stringify({ error: `Sorry, we can't take payment in ${String(currency).toUpperCase()}` })
+      };
+    }
+
+    // Only productId and quantity are taken from the client; names and
+    // prices come from PRODUCTS
+    const { cartItems, error: cartError } = normalizeCart(requestedItems, currency);
+
+    if (cartError) {
+      return {
+        statusCode: 400,
+        headers: { 'Access-Control-Allow-Origin': '*' },
+        body: JSON.stringify({ error: cartError })
+      };
+    }
+
+    // Rates for the buyer's destination; checkout then only accepts
+    // addresses in that shipping zone
+    const shipping = shippingCountry
+      ? getShippingOptions(cartItems, shippingCountry, currency)
+      : { error: 'Please choose a shipping country' };
 
-    if (!cartItems || cartItems.length === 0) {
+    if (shipping.error) {
       return {
         statusCode: 400,
         headers: { 'Access-Control-Allow-Origin': '*' },
-        body: JSON.stringify({ error: 'Cart is empty' })
+        body: JSON.stringify({ error: shipping.error })
       };
     }
 
     // Build line items for Stripe
     const lineItems = cartItems.map(item => {
       const product = PRODUCTS[item.productId];
-      if (!product) {
-        throw new Error(`Unknown product: ${item.productId}`);
-      }
 
       return {
         price_data: {
-          currency: 'usd',
+          currency,
           product_data: {
             name: product.name,
             description: product.description,
@@ -104,32 +109,71 @@ exports.handler = async (event, context) => {
               splitShipment: (product.splitShipment || false).toString()
             }
           },
-          unit_amount: product.price
+          unit_amount: product.prices[currency]
         },
         quantity: item.quantity
       };
     });
 
+    // Validate the promo code against Stripe before reserving anything
+    let promotion = null;
+    if (promoCode) {
+      const subtotal = lineItems.reduce((sum, item) => sum + item.price_data.unit_amount * item.quantity, 0);
+      const result = await findPromotionCode(stripe, promoCode, subtotal, currency);
+      if (result.error) {
+        return {
+          statusCode: 400,
+          headers: { 'Access-Control-Allow-Origin': '*' },
+          body: JSON.stringify({ error: result.error })
+        };
+      }
+      promotion = result.promotion;
+    }
+
+    // A buyer who closed and reopened checkout shouldn't compete with their
+    // own earlier reservation
+    if (releaseSessionId) {
+      await releaseReservation(stripe, releaseSessionId, customerEmail);
+    }
+
+    // Reject carts needing more of any item than what's left after sales
+    // and other buyers' open checkouts
+    const usage = countCartUsage(cartItems);
+    const inventory = await getInventoryLevels(stripe);
+    const shortItem = findShortItem(usage, inventory);
+
+    if (shortItem) {
+      return stockErrorResponse(shortItem, inventory);
+    }
+
     // Check if order includes pre-orders
     const hasPreOrder = cartItems.some(item => PRODUCTS[item.productId]?.splitShipment);
 
-    // Get or create shipping rates
-    const shippingOptions = await getOrCreateShippingRates(stripe);
-
     // Create the checkout session
-    const session = await stripe.checkout.sessions.create({
+    const sessionParams = {
       ui_mode: 'embedded',
       mode: 'payment',
+      // The session reserves its units until it expires
+      expires_at: Math.floor(Date.now() / 1000) + RESERVATION_MINUTES * 60,
       line_items: lineItems,
+      discounts: promotion ? [{ promotion_code: promotion.id }] : undefined,
       shipping_address_collection: {
-        allowed_countries: ['US', 'CA', 'GB', 'AU', 'NZ', 'IE', 'DE', 'FR', 'NL', 'BE']
+        allowed_countries: shipping.countries
       },
-      shipping_options: shippingOptions,
+      shipping_options: shipping.options,
       customer_email: customerEmail || undefined,
+      // Printed on the packing slip (see packing-slips)
+      custom_fields: [{
+        key: 'gift_message',
+        label: { type: 'custom', custom: 'Gift message (optional)' },
+        type: 'text',
+        optional: true,
+        text: { maximum_length: 255 }
+      }],
       custom_text: {
         shipping_address: {
           message: hasPreOrder
-            ? 'Note: Your Destiny Cards will ship immediately. The book pre-order will ship separately in March 2026.'
+            ? `Note: Your Destiny Cards will ship immediately. The book pre-order will ship separately in ${BOOK_RELEASE_DATE}.`
             : 'Your Destiny Cards will ship within 3-5 business days.'
         },
         submit: {
@@ -137,12 +181,28 @@ exports.handler = async (event, context) => {
         }
       },
       metadata: {
+        // Lets a later request from the same buyer release this session
+        source: SESSION_SOURCE,
         hasPreOrder: hasPreOrder.toString(),
         emailConsent: (emailConsent || false).toString(),
-        cartItems: JSON.stringify(cartItems)
+        cartItems: JSON.stringify(cartItems),
+        promoCode: promotion ? promotion.code : ''
       },
       return_url: `${process.env.URL || 'https://destinycards.paradoxprocess.org'}/checkout-complete?session_id={CHECKOUT_SESSION_ID}`
-    });
+    };
+
+    // Sales tax / VAT per TAX_MODE, worked out by Stripe from the address
+    await addTaxToSession(stripe, sessionParams, currency);
+
+    const session = await stripe.checkout.sessions.create(sessionParams);
+
+    // Another buyer may have reserved the same units while this session was
+    // being created. The earlier session keeps them; release ours.
+    if (!(await isReservationWithinStock(stripe, session.id, usage))) {
+      await stripe.checkout.sessions.expire(session.id);
+      const latest = await getInventoryLevels(stripe);
+      return stockErrorResponse(findShortItem(usage, latest) || 'deck', latest);
+    }
 
     return {
       statusCode: 200,
@@ -169,70 +229,90 @@ exports.handler = async (event, context) => {
   }
 };
 
-// Get existing shipping rates or create them
-async function getOrCreateShippingRates(stripe) {
-  try {
-    // Try to fetch existing shipping rates
-    const existingRates = await stripe.shippingRates.list({ active: true, limit: 10 });
-
-    // Look for our rates by display name
-    const usStandard = existingRates.data.find(r => r.display_name === SHIPPING_RATES.us_standard.display_name);
-    const usExpress = existingRates.data.find(r => r.display_name === SHIPPING_RATES.us_express.display_name);
-    const international = existingRates.data.find(r => r.display_name === SHIPPING_RATES.international.display_name);
-
-    const shippingOptions = [];
-
-    // Use existing or create new rates
-    if (usStandard) {
-      shippingOptions.push({ shipping_rate: usStandard.id });
-    } else {
-      const newRate = await stripe.shippingRates.create({
-        display_name: SHIPPING_RATES.us_standard.display_name,
-        type: 'fixed_amount',
-        fixed_amount: { amount: SHIPPING_RATES.us_standard.amount, currency: 'usd' },
-        delivery_estimate: {
-          minimum: { unit: 'business_day', value: SHIPPING_RATES.us_standard.min_days },
-          maximum: { unit: 'business_day', value: SHIPPING_RATES.us_standard.max_days }
-        }
-      });
-      shippingOptions.push({ shipping_rate: newRate.id });
+// Validate the requested cart and rebuild it from PRODUCTS, priced in
+// `currency`. Repeated lines for the same product are merged. Returns
+// { cartItems } or { error }.
+function normalizeCart(requestedItems, currency) {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    return { error: 'Cart is empty' };
+  }
+
+  const quantities = {};
+  for (const item of requestedItems) {
+    const productId = item?.productId;
+    const quantity = item?.quantity;
+
+    if (!getProduct(productId)) {
+      return { error: 'Your cart contains a product that is no longer available.' };
     }
 
-    if (usExpress) {
-      shippingOptions.push({ shipping_rate: usExpress.id });
-    } else {
-      const newRate = await stripe.shippingRates.create({
-        display_name: SHIPPING_RATES.us_express.display_name,
-        type: 'fixed_amount',
-        fixed_amount: { amount: SHIPPING_RATES.us_express.amount, currency: 'usd' },
-        delivery_estimate: {
-          minimum: { unit: 'business_day', value: SHIPPING_RATES.us_express.min_days },
-          maximum: { unit: 'business_day', value: SHIPPING_RATES.us_express.max_days }
-        }
-      });
-      shippingOptions.push({ shipping_rate: newRate.id });
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: 'Invalid quantity in cart.' };
     }
 
-    if (international) {
-      shippingOptions.push({ shipping_rate: international.id });
-    } else {
-      const newRate = await stripe.shippingRates.create({
-        display_name: SHIPPING_RATES.international.display_name,
-        type: 'fixed_amount',
-        fixed_amount: { amount: SHIPPING_RATES.international.amount, currency: 'usd' },
-        delivery_estimate: {
-          minimum: { unit: 'business_day', value: SHIPPING_RATES.international.min_days },
-          maximum: { unit: 'business_day', value: SHIPPING_RATES.international.max_days }
-        }
-      });
-      shippingOptions.push({ shipping_rate: newRate.id });
+    quantities[productId] = (quantities[productId] || 0) + quantity;
+  }
+
+  const cartItems = [];
+  for (const [productId, quantity] of Object.entries(quantities)) {
+    const product = PRODUCTS[productId];
+
+    if (quantity > MAX_QUANTITY_PER_PRODUCT) {
+      return { error: `You can order up to ${MAX_QUANTITY_PER_PRODUCT} of ${product.name} at a time.` };
     }
 
-    return shippingOptions;
+    // Canonical cart stored in session metadata for the webhook and admin.
+    // productPrice is in the session's currency.
+    cartItems.push({
+      productId,
+      productName: product.name,
+      productPrice: product.prices[currency] / 100,
+      quantity
+    });
+  }
+
+  return { cartItems };
+}
+
+// Expire the buyer's earlier session. Only an open session this function
+// created for the same email is released; any other ID is ignored, so a
+// request can't cancel someone else's checkout.
+async function releaseReservation(stripe, sessionId, customerEmail) {
+  if (!customerEmail) {
+    return;
+  }
 
+  try {
+    const previous = await stripe.checkout.sessions.retrieve(sessionId);
+    const sameBuyer = previous.metadata?.source === SESSION_SOURCE &&
+      (previous.customer_email || '').toLowerCase() === customerEmail.toLowerCase();
+    if (!sameBuyer) {
+      console.warn(`Not releasing session ${sessionId}: it belongs to another checkout`);
+      return;
+    }
+    if (previous.status === 'open') {
+      await stripe.checkout.sessions.expire(sessionId);
+    }
   } catch (error) {
-    console.error('Error with shipping rates:', error);
-    // Return empty array - Stripe will still work, just without shipping options
-    return [];
+    console.error(`Could not release session ${sessionId}:`, error.message);
   }
 }
+
+// First physical item the cart needs more of than is available
+function findShortItem(usage, inventory) {
+  return Object.keys(usage).find(itemId => usage[itemId] > inventory.items[itemId].remaining);
+}
+
+function stockErrorResponse(itemId, inventory) {
+  const item = inventory.items[itemId];
+  return {
+    statusCode: 409,
+    headers: { 'Access-Control-Allow-Origin': '*' },
+    body: JSON.stringify({
+      error: item.remaining <= 0
+        ? `Sorry, we're out of ${item.name}.`
+        : `Only ${item.remaining} ${item.name} left in stock.`,
+      products: inventory.products
+    })
+  };
+}
@@ -0,0 +1,243 @@
+// netlify/functions/export-orders.js
+// CSV of orders to ship, laid out for a shipping tool's bulk label import.
+// Each row carries the checkout session ID as the order reference, so the
+// tracking CSV those tools export can be matched back by the admin import.
+//
+// Query parameters:
+//   format   - pirateship (default) | shipstation | shippo | usps
+//   shipment - cards (default) | book
+//   status   - unshipped (default): orders where this shipment hasn't gone
+//              out and nothing was fully refunded; or any get-orders status
+//              (pending | partial | fulfilled | refunded | all)
+//   from, to - order date range, YYYY-MM-DD (UTC, inclusive)
+
+const Stripe = require('stripe');
+const { requireRole } = require('./utils/auth');
+const { SHIPMENTS } = require('./utils/catalog');
+const { createKeapLookup } = require('./utils/fulfillment');
+const { toCsv } = require('./utils/csv');
+const { recordAudit } = require('./utils/audit');
+const {
+  resolveLegacyOrders,
+  listOrders,
+  parseDateRange,
+  matchesShipmentStatus,
+  shipmentLines,
+  normalizeAddress
+} = require('./utils/orders');
+
+// Upper bound on orders read, in Stripe list calls of 100
+const MAX_EXPORT_PAGES = 20;
+
+const STATUSES = ['unshipped', 'pending', 'partial', 'fulfilled', 'refunded', 'all'];
+
+// Column layouts for each tool's bulk import, as header -> row value
+const FORMATS = {
+  pirateship: {
+    name: 'Pirate Ship',
+    columns: {
+      'Name': r => r.name,
+      'Company': r => r.company,
+      'Address': r => r.line1,
+      'Address Line 2': r => r.line2,
+      'City': r => r.city,
+      'State': r => r.state,
+      'Zipcode': r => r.postalCode,
+      'Country': r => r.country,
+      'Email': r => r.email,
+      'Phone': r => r.phone,
+      'Pounds': r => Math.floor(r.weightOz / 16),
+      'Ounces': r => r.weightOz % 16,
+      'Order ID': r => r.reference,
+      'Description': r => r.description
+    }
+  },
+  shipstation: {
+    name: 'ShipStation',
+    columns: {
+      'Order #': r => r.reference,
+      'Order Date': r => r.orderDate,
+      'Recipient Name': r => r.name,
+      'Company': r => r.company,
+      'Email': r => r.email,
+      'Phone': r => r.phone,
+      'Address 1': r => r.line1,
+      'Address 2': r => r.line2,
+      'City': r => r.city,
+      'State': r => r.state,
+      'Postal Code': r => r.postalCode,
+      'Country Code': r => r.country,
+      'Item SKU': r => r.sku,
+      'Item Name': r => r.description,
+      'Quantity': r => r.quantity,
+      'Weight (oz)': r => r.weightOz
+    }
+  },
+  shippo: {
+    name: 'Shippo',
+    columns: {
+      'Order Number': r => r.reference,
+      'Order Date': r => r.orderDate,
+      'Recipient Name': r => r.name,
+      'Company': r => r.company,
+      'Email': r => r.email,
+      'Phone': r => r.phone,
+      'Street Line 1': r => r.line1,
+      'Street Line 2': r => r.line2,
+      'City': r => r.city,
+      'State/Province': r => r.state,
+      'Zip/Postal Code': r => r.postalCode,
+      'Country': r => r.country,
+      'Item Title': r => r.description,
+      'SKU': r => r.sku,
+      'Quantity': r => r.quantity,
+      'Item Weight': r => r.weightOz,
+      'Item Weight Unit': () => 'oz'
+    }
+  },
+  usps: {
+    name: 'USPS Click-N-Ship',
+    columns: {
+      'Reference Number': r => r.reference,
+      'Full Name': r => r.name,
+      'Company': r => r.company,
+      'Address 1': r => r.line1,
+      'Address 2': r => r.line2,
+      'City': r => r.city,
+      'State': r => r.state,
+      'ZIP Code': r => r.postalCode,
+      'Country': r => r.country,
+      'Email': r => r.email,
+      'Phone': r => r.phone,
+      'Weight (lbs)': r => Math.floor(r.weightOz / 16),
+      'Weight (oz)': r => r.weightOz % 16
+    }
+  }
+};
+
+function getStripe() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+  return new Stripe(secretKey);
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Content-Disposition, X-Unchecked-Orders',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  // Auth check
+  const auth = requireRole(event, 'shipper');
+  if (auth.error) {
+    return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error }) };
+  }
+
+  const params = event.queryStringParameters || {};
+  const format = params.format || 'pirateship';
+  const shipmentType = params.shipment || 'cards';
+  const status = params.status || 'unshipped';
+
+  if (!FORMATS[format]) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` }) };
+  }
+  if (!SHIPMENTS[shipmentType]) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: `shipment must be one of: ${Object.keys(SHIPMENTS).join(', ')}` }) };
+  }
+  if (!STATUSES.includes(status)) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: `status must be one of: ${STATUSES.join(', ')}` }) };
+  }
+
+  const created = parseDateRange(params.from, params.to);
+  if (created && created.error) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: created.error }) };
+  }
+
+  try {
+    const stripe = getStripe();
+    // Oldest first, so labels print in the order they came in
+    const orders = (await listOrders(stripe, { created, maxPages: MAX_EXPORT_PAGES })).reverse();
+
+    // Shipped state for orders from before fulfillment records, as in get-orders
+    await resolveLegacyOrders(orders, createKeapLookup(process.env.KEAP_ACCESS_TOKEN));
+
+    const rows = [];
+    let unchecked = 0;
+    for (const order of orders) {
+      if (!matchesShipmentStatus(order, shipmentType, status)) continue;
+      const row = toShipmentRow(order, shipmentType);
+      if (!row) continue;
+      rows.push(row);
+      if (!order.fulfillment.checked) unchecked++;
+    }
+
+    const filename = `orders-${shipmentType}-${format}-${new Date().toISOString().split('T')[0]}.csv`;
+    console.log(`Exported ${rows.length} ${shipmentType} shipments for ${FORMATS[format].name}`);
+    await recordAudit(event, auth.user, 'orders.export', {
+      details: { format, shipmentType, status, from: params.from || null, to: params.to || null, orders: rows.length }
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        // Older orders Keap couldn't be asked about are exported as unshipped
+        'X-Unchecked-Orders': String(unchecked)
+      },
+      body: toCsv(FORMATS[format].columns, rows)
+    };
+
+  } catch (error) {
+    console.error('Export orders error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// One shipment's row values, or null if the order has nothing for this
+// shipment or no address to ship to
+function toShipmentRow(order, shipmentType) {
+  const lines = shipmentLines(order, shipmentType);
+  let quantity = 0;
+  let weightOz = 0;
+  for (const line of lines) {
+    quantity += line.quantity;
+    weightOz += (line.product.shippingWeightOz?.[shipmentType] || 0) * line.quantity;
+  }
+
+  if (quantity === 0 || !order.shipping?.address) {
+    return null;
+  }
+
+  const address = normalizeAddress(order.shipping.address);
+  return {
+    reference: order.id,
+    orderDate: order.createdDate.split('T')[0],
+    name: String(order.shipping.name || order.customer.name).replace(/\s+/g, ' ').trim(),
+    company: '',
+    ...address,
+    email: order.customer.email === 'Unknown' ? '' : order.customer.email,
+    phone: order.customer.phone || '',
+    sku: lines.map(line => line.productId).join(' '),
+    description: `${quantity}x ${SHIPMENTS[shipmentType].unit}`,
+    quantity,
+    weightOz
+  };
+}
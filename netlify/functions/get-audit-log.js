@@ -0,0 +1,65 @@
+// netlify/functions/get-audit-log.js
+// Lists the audit log (see utils/audit) for the admin Activity tab, newest
+// first.
+//
+// Query parameters:
+//   from, to - date range, YYYY-MM-DD (UTC, inclusive; default the last 30 days)
+//   user     - username
+//   action   - one of AUDIT_ACTIONS
+//   q        - order ID, contact ID, email, or any value changed (e.g. a tracking number)
+//   limit    - entries per page, up to 100 (default 50)
+//   cursor   - nextCursor from the previous page
+
+const { requireRole } = require('./utils/auth');
+const { AUDIT_ACTIONS, parseAuditQuery, listAuditEntries } = require('./utils/audit');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  // Auth check
+  const auth = requireRole(event, 'owner');
+  if (auth.error) {
+    return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error }) };
+  }
+
+  const query = parseAuditQuery(event.queryStringParameters || {});
+  if (query.error) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: query.error }) };
+  }
+
+  try {
+    const { entries, scanned, nextCursor } = await listAuditEntries(event, query);
+
+    console.log(`Audit log: ${entries.length} of ${scanned} entries read match`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        entries,
+        nextCursor,
+        actions: AUDIT_ACTIONS
+      })
+    };
+
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -1,9 +1,9 @@
 // netlify/functions/get-inventory.js
-// Returns current inventory levels based on Stripe sales
+// Returns current inventory levels per item and per product, based on
+// Stripe sales and open checkouts
 
 const Stripe = require('stripe');
-
-const TOTAL_INVENTORY = 75;
+const { getInventoryLevels } = require('./utils/inventory');
 
 function getStripe() {
   const secretKey = process.env.STRIPE_SECRET_KEY;
@@ -36,61 +36,22 @@ exports.handler = async (event, context) => {
   try {
     const stripe = getStripe();
 
-    // Fetch all completed checkout sessions
-    // We'll paginate through all of them to get accurate count
-    let totalCardsSold = 0;
-    let hasMore = true;
-    let startingAfter = null;
-
-    while (hasMore) {
-      const params = {
-        status: 'complete',
-        limit: 100,
-        expand: ['data.line_items']
-      };
-
-      if (startingAfter) {
-        params.starting_after = startingAfter;
-      }
-
-      const sessions = await stripe.checkout.sessions.list(params);
-
-      for (const session of sessions.data) {
-        // Parse cart items from metadata to count cards
-        try {
-          const cartItems = JSON.parse(session.metadata?.cartItems || '[]');
-          for (const item of cartItems) {
-            // Both products include cards, so count all quantities
-            totalCardsSold += item.quantity || 0;
-          }
-        } catch (e) {
-          // If we can't parse metadata, try to count from line items
-          if (session.line_items?.data) {
-            for (const lineItem of session.line_items.data) {
-              totalCardsSold += lineItem.quantity || 0;
-            }
-          }
-        }
-      }
-
-      hasMore = sessions.has_more;
-      if (sessions.data.length > 0) {
-        startingAfter = sessions.data[sessions.data.length - 1].id;
-      } else {
-        hasMore = false;
-      }
-    }
-
-    const remaining = Math.max(0, TOTAL_INVENTORY - totalCardsSold);
+    // Units in open checkouts are reserved until their session expires
+    const { items, products } = await getInventoryLevels(stripe);
+    const deck = items.deck;
 
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
-        total: TOTAL_INVENTORY,
-        sold: totalCardsSold,
-        remaining: remaining,
-        percentSold: Math.round((totalCardsSold / TOTAL_INVENTORY) * 100)
+        items,
+        products,
+        // Headline figures for the limited deck run
+        total: deck.total,
+        sold: deck.sold,
+        reserved: deck.reserved,
+        remaining: deck.remaining,
+        percentSold: Math.round((deck.sold / deck.total) * 100)
       })
     };
 
@@ -1,7 +1,35 @@
 // netlify/functions/get-orders.js
-// Returns all orders with fulfillment status for admin dashboard
+// Returns orders with fulfillment status for admin dashboard, a page at a time
+//
+// Query parameters (all optional):
+//   cursor   - nextCursor from the previous page
+//   limit    - orders per page (default 50, max 100)
+//   from, to - order date range, YYYY-MM-DD (UTC, inclusive)
+//   product  - catalog product ID, e.g. cards-book-bundle
+//   status   - pending | partial | fulfilled | refunded
+//   country  - two-letter shipping country code
+//   q        - search customer name or email
+//
+// The first page also carries summary counts across every order, whatever
+// the filters.
 
 const Stripe = require('stripe');
+const { requireRole } = require('./utils/auth');
+const { BOOK_RELEASE_DATE, getProduct } = require('./utils/catalog');
+const { createKeapLookup } = require('./utils/fulfillment');
+const { ORDER_EXPAND, toOrder, resolveLegacyOrders, listOrders, parseDateRange } = require('./utils/orders');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Filters Stripe can't apply are checked here, so a page may need several
+// Stripe list calls. Stop after this many and hand back a cursor instead.
+const MAX_SCAN_PAGES = 5;
+
+// Upper bound on orders counted for the summary, in Stripe list calls of 100
+const MAX_SUMMARY_PAGES = 20;
+
+const STATUSES = ['pending', 'partial', 'fulfilled', 'refunded'];
 
 function getStripe() {
   const secretKey = process.env.STRIPE_SECRET_KEY;
@@ -32,135 +60,100 @@ exports.handler = async (event, context) => {
   }
 
   // Auth check
-  const authHeader = event.headers['authorization'];
-  const adminKey = process.env.ADMIN_API_KEY;
-
-  if (!adminKey) {
-    console.error('ADMIN_API_KEY environment variable is not set');
-    return {
-      statusCode: 401,
-      headers,
-      body: JSON.stringify({ error: 'Server configuration error: ADMIN_API_KEY not set' })
-    };
+  const auth = requireRole(event, 'viewer');
+  if (auth.error) {
+    return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error }) };
   }
 
-  if (authHeader !== `Bearer ${adminKey}`) {
+  const { filters, limit, cursor, error } = parseQuery(event.queryStringParameters || {});
+  if (error) {
     return {
-      statusCode: 401,
+      statusCode: 400,
       headers,
-      body: JSON.stringify({ error: 'Invalid API key' })
+      body: JSON.stringify({ error })
     };
   }
 
   try {
     const stripe = getStripe();
 
-    console.log('Fetching checkout sessions from Stripe...');
+    // Orders shipped before fulfillment records existed are checked against
+    // Keap, within a per-request budget shared by the page and the summary
+    const keapLookup = createKeapLookup(process.env.KEAP_ACCESS_TOKEN);
 
-    // Fetch completed checkout sessions (most recent first)
-    const sessions = await stripe.checkout.sessions.list({
+    // Date range and exact email are filtered by Stripe; everything else
+    // needs the full order, so scan whole pages when those are set
+    const listParams = {
       status: 'complete',
-      limit: 100
-    });
-
-    console.log(`Found ${sessions.data.length} sessions`);
+      expand: ORDER_EXPAND
+    };
+    if (filters.created) {
+      listParams.created = filters.created;
+    }
+    if (filters.email) {
+      listParams.customer_details = { email: filters.email };
+    }
+    const scanning = !!(filters.product || filters.status || filters.country || filters.search);
 
-    // Process each session into order format
     const orders = [];
+    let startingAfter = cursor;
+    let nextCursor = null;
+    let pagesScanned = 0;
+
+    while (orders.length < limit) {
+      // Completed checkout sessions, most recent first
+      const sessions = await stripe.checkout.sessions.list({
+        ...listParams,
+        limit: scanning ? MAX_PAGE_SIZE : limit - orders.length,
+        ...(startingAfter && { starting_after: startingAfter })
+      });
+      pagesScanned++;
 
-    for (const session of sessions.data) {
-      try {
-        // Get full session with shipping details
-        const fullSession = await stripe.checkout.sessions.retrieve(session.id);
-
-        // Parse cart items from metadata
-        let cartItems = [];
-        let hasPreOrder = false;
-        try {
-          cartItems = JSON.parse(session.metadata?.cartItems || '[]');
-          hasPreOrder = session.metadata?.hasPreOrder === 'true';
-        } catch (e) {
-          console.error('Failed to parse cart items for session:', session.id);
+      // Status depends on Keap for legacy orders, so resolve those before
+      // filtering on it
+      const candidates = new Map();
+      for (const session of sessions.data) {
+        const order = toOrder(session);
+        if (order && matchesFilters(order, filters)) {
+          candidates.set(session.id, order);
         }
+      }
+      await resolveLegacyOrders([...candidates.values()], keapLookup);
 
-        // Build order summary
-        const orderSummary = cartItems.map(item =>
-          `${item.quantity}x ${item.productName}`
-        ).join(', ') || 'Unknown items';
-
-        // Initialize fulfillment status (will be checked separately to avoid rate limits)
-        let cardsShipped = false;
-        let bookShipped = false;
-        let cardsTrackingNumber = null;
-        let bookTrackingNumber = null;
-
-        // Determine overall fulfillment status
-        let fulfillmentStatus = 'pending';
-        if (hasPreOrder) {
-          if (cardsShipped && bookShipped) {
-            fulfillmentStatus = 'fulfilled';
-          } else if (cardsShipped) {
-            fulfillmentStatus = 'partial'; // Cards shipped, book pending
-          }
-        } else {
-          if (cardsShipped) {
-            fulfillmentStatus = 'fulfilled';
-          }
+      for (const session of sessions.data) {
+        startingAfter = session.id;
+        const order = candidates.get(session.id);
+        if (order && (!filters.status || order.fulfillment.status === filters.status)) {
+          orders.push(order);
+          if (orders.length >= limit) break;
         }
+      }
 
-        orders.push({
-          id: session.id,
-          paymentIntentId: session.payment_intent,
-          created: session.created,
-          createdDate: new Date(session.created * 1000).toISOString(),
-          customer: {
-            name: fullSession.customer_details?.name || 'Unknown',
-            email: fullSession.customer_details?.email || 'Unknown'
-          },
-          shipping: fullSession.shipping_details ? {
-            name: fullSession.shipping_details.name,
-            address: {
-              line1: fullSession.shipping_details.address?.line1,
-              line2: fullSession.shipping_details.address?.line2,
-              city: fullSession.shipping_details.address?.city,
-              state: fullSession.shipping_details.address?.state,
-              postalCode: fullSession.shipping_details.address?.postal_code,
-              country: fullSession.shipping_details.address?.country
-            }
-          } : null,
-          items: cartItems,
-          orderSummary,
-          amountTotal: session.amount_total / 100,
-          hasPreOrder,
-          fulfillment: {
-            status: fulfillmentStatus,
-            cardsShipped,
-            bookShipped,
-            cardsTrackingNumber,
-            bookTrackingNumber
-          }
-        });
-      } catch (sessionError) {
-        console.error(`Error processing session ${session.id}:`, sessionError.message);
-        // Continue with next session
+      const moreInPage = startingAfter !== sessions.data[sessions.data.length - 1]?.id;
+      if (!moreInPage && !sessions.has_more) {
+        break;
+      }
+      if (orders.length >= limit || pagesScanned >= MAX_SCAN_PAGES) {
+        nextCursor = startingAfter;
+        break;
       }
     }
 
-    console.log(`Processed ${orders.length} orders successfully`);
+    console.log(`Returning ${orders.length} orders after scanning ${pagesScanned} page(s)`);
+
+    // Counts only change between page loads, so later pages skip them
+    const summary = cursor ? null : await summarizeOrders(stripe, keapLookup);
 
-    // Sort by created date (newest first) - already sorted by Stripe
+    // Already sorted newest first by Stripe
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         orders,
         count: orders.length,
-        summary: {
-          total: orders.length,
-          pending: orders.filter(o => o.fulfillment.status === 'pending').length,
-          partial: orders.filter(o => o.fulfillment.status === 'partial').length,
-          fulfilled: orders.filter(o => o.fulfillment.status === 'fulfilled').length
-        }
+        nextCursor,
+        summary,
+        bookReleaseDate: BOOK_RELEASE_DATE
       })
     };
 
@@ -177,3 +170,100 @@ exports.handler = async (event, context) => {
     };
   }
 };
+
+// Validate query parameters. Returns { filters, limit, cursor } or { error }.
+function parseQuery(params) {
+  const filters = {};
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (params.limit) {
+    limit = parseInt(params.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  const cursor = params.cursor || null;
+  if (cursor && !cursor.startsWith('cs_')) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const created = parseDateRange(params.from, params.to);
+  if (created && created.error) {
+    return { error: created.error };
+  }
+  if (created) {
+    filters.created = created;
+  }
+
+  if (params.product) {
+    if (!getProduct(params.product)) {
+      return { error: `Unknown product: ${params.product}` };
+    }
+    filters.product = params.product;
+  }
+
+  if (params.status && params.status !== 'all') {
+    if (!STATUSES.includes(params.status)) {
+      return { error: `status must be one of: ${STATUSES.join(', ')}` };
+    }
+    filters.status = params.status;
+  }
+
+  if (params.country) {
+    if (!/^[A-Za-z]{2}$/.test(params.country)) {
+      return { error: 'country must be a two-letter country code' };
+    }
+    filters.country = params.country.toUpperCase();
+  }
+
+  const search = (params.q || '').trim().toLowerCase();
+  if (search) {
+    // A full email address can be matched by Stripe directly
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(search)) {
+      filters.email = search;
+    } else {
+      filters.search = search;
+    }
+  }
+
+  return { filters, limit, cursor };
+}
+
+// Counts by fulfillment status across every order. `unchecked` counts legacy
+// orders that couldn't be checked against Keap this time; they're counted
+// as pending.
+async function summarizeOrders(stripe, keapLookup) {
+  const orders = await listOrders(stripe, { maxPages: MAX_SUMMARY_PAGES });
+
+  await resolveLegacyOrders(orders, keapLookup);
+
+  const count = status => orders.filter(o => o.fulfillment.status === status).length;
+  return {
+    total: orders.length,
+    pending: count('pending'),
+    partial: count('partial'),
+    fulfilled: count('fulfilled'),
+    refunded: count('refunded'),
+    unchecked: orders.filter(o => !o.fulfillment.checked).length
+  };
+}
+
+function matchesFilters(order, filters) {
+  if (filters.product && !order.items.some(item => item.productId === filters.product)) {
+    return false;
+  }
+  if (filters.country && order.shipping?.address.country !== filters.country) {
+    return false;
+  }
+  if (filters.search) {
+    const haystack = [order.customer.name, order.customer.email, order.shipping?.name]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    if (!haystack.includes(filters.search)) {
+      return false;
+    }
+  }
+  return true;
+}
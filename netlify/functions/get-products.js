@@ -0,0 +1,103 @@
+// netlify/functions/get-products.js
+// Returns the product catalog for the storefront, with live stock per
+// product and per physical item, prices in each currency we charge in, and
+// the countries we ship to
+
+const Stripe = require('stripe');
+const { PRODUCTS, MAX_QUANTITY_PER_PRODUCT } = require('./utils/catalog');
+const { getInventoryLevels } = require('./utils/inventory');
+const { COUNTRIES, SHIPPING_COUNTRIES } = require('./utils/shipping');
+const { CURRENCIES, DEFAULT_CURRENCY, COUNTRY_CURRENCIES } = require('./utils/currency');
+const { getTaxMode, isTaxInclusive } = require('./utils/tax');
+
+function getStripe() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+  return new Stripe(secretKey);
+}
+
+exports.handler = async (event, context) => {
+  // Handle CORS
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  // A bad TAX_MODE is a configuration error, reported like any other failure
+  let collectsTax;
+  try {
+    collectsTax = getTaxMode() !== 'off';
+  } catch (error) {
+    console.error('Tax configuration error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Failed to load products' })
+    };
+  }
+
+  // The catalog is still worth showing if stock can't be loaded; the
+  // storefront treats missing stock as unknown and checkout re-checks it
+  let inventory = null;
+  try {
+    inventory = await getInventoryLevels(getStripe());
+  } catch (error) {
+    console.error('Inventory check error:', error);
+  }
+
+  const products = Object.entries(PRODUCTS).map(([id, product]) => ({
+    id,
+    name: product.name,
+    headline: product.headline,
+    description: product.description,
+    // Major units by currency code, e.g. { usd: 20, gbp: 16 }
+    prices: Object.fromEntries(
+      Object.entries(product.prices).map(([currency, amount]) => [currency, amount / 100])
+    ),
+    badge: product.badge,
+    images: product.images,
+    features: product.features,
+    shipsNow: product.shipsNow,
+    splitShipment: product.splitShipment,
+    shipmentNotes: product.shipmentNotes,
+    releaseDate: product.releaseDate,
+    consumes: product.consumes,
+    remaining: inventory ? inventory.products[id].remaining : null
+  }));
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      products,
+      items: inventory ? inventory.items : null,
+      maxQuantityPerProduct: MAX_QUANTITY_PER_PRODUCT,
+      // taxInclusive: prices in this currency already include any VAT/GST
+      currencies: Object.entries(CURRENCIES).map(([code, name]) => ({ code, name, taxInclusive: isTaxInclusive(code) })),
+      defaultCurrency: DEFAULT_CURRENCY,
+      collectsTax,
+      // Destinations for the storefront's shipping country selector, with
+      // the currency a buyer there most likely pays in
+      shippingCountries: SHIPPING_COUNTRIES.map(code => ({
+        code,
+        name: COUNTRIES[code],
+        currency: COUNTRY_CURRENCIES[code]
+      }))
+    })
+  };
+};
@@ -1,7 +1,22 @@
 // netlify/functions/get-session.js
-// Retrieves checkout session details for the confirmation page
+// Retrieves checkout session details and the receipt for the confirmation page.
+//
+// A session is shown to anyone with its ID only for a short while after
+// checkout; after that the page needs the signed receipt link (see
+// utils/links), which it's given on that first visit and which the order
+// status page links to.
 
 const Stripe = require('stripe');
+const { SHIPMENTS } = require('./utils/catalog');
+const { toOrder, shipmentLines } = require('./utils/orders');
+const { receiptLink, isReceiptToken } = require('./utils/links');
+
+// How long after checkout starts a session can be viewed by its ID alone.
+// Checkout has to finish within the inventory reservation, so this is
+// close to the time since the buyer paid.
+const OPEN_RECEIPT_HOURS = 2;
+
+const RECEIPT_EXPAND = ['payment_intent', 'total_details.breakdown', 'shipping_cost.shipping_rate'];
 
 function getStripe() {
   const secretKey = process.env.STRIPE_SECRET_KEY;
@@ -12,47 +27,54 @@ function getStripe() {
 }
 
 exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'GET, OPTIONS'
-      },
-      body: ''
-    };
+    return { statusCode: 200, headers, body: '' };
   }
 
   if (event.httpMethod !== 'GET') {
-    return {
-      statusCode: 405,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
   }
 
   const sessionId = event.queryStringParameters?.session_id;
+  const token = event.queryStringParameters?.token;
 
   if (!sessionId) {
-    return {
-      statusCode: 400,
-      headers: { 'Access-Control-Allow-Origin': '*' },
-      body: JSON.stringify({ error: 'Missing session_id parameter' })
-    };
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Missing session_id parameter' }) };
   }
 
   try {
     const stripe = getStripe();
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    const session = await stripe.checkout.sessions.retrieve(sessionId, { expand: RECEIPT_EXPAND });
+
+    const hasToken = !!token && isReceiptToken(token, session.id);
+    const isRecent = session.created > Date.now() / 1000 - OPEN_RECEIPT_HOURS * 3600;
+    if (!hasToken && !isRecent) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'This confirmation link has expired. You can see your orders from the order status page.' })
+      };
+    }
 
-    // Only return safe, non-sensitive data
+    if (session.status !== 'complete') {
+      return { statusCode: 200, headers, body: JSON.stringify({ id: session.id, status: session.status }) };
+    }
+
+    const lineItems = await stripe.checkout.sessions.listLineItems(session.id, { limit: 100 });
+
+    // Only return what the buyer needs for their receipt
     return {
       statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Content-Type': 'application/json'
-      },
+      headers,
       body: JSON.stringify({
         id: session.id,
         status: session.status,
@@ -60,16 +82,78 @@ exports.handler = async (event, context) => {
         customer_email: session.customer_details?.email || session.customer_email,
         customer_name: session.customer_details?.name,
         amount_total: session.amount_total,
-        metadata: session.metadata
+        currency: session.currency,
+        receipt: toReceipt(session, lineItems.data),
+        // A link that keeps working after OPEN_RECEIPT_HOURS
+        receipt_url: hasToken ? null : receiptLink(session.id)
       })
     };
 
   } catch (error) {
     console.error('Error retrieving session:', error);
-    return {
-      statusCode: 500,
-      headers: { 'Access-Control-Allow-Origin': '*' },
-      body: JSON.stringify({ error: 'Failed to retrieve session' })
-    };
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to retrieve session' }) };
   }
 };
+
+// The receipt for a completed session. Amounts are in major units of the
+// order's currency.
+function toReceipt(session, lineItems) {
+  const order = toOrder(session);
+  const totals = session.total_details || {};
+
+  // Pre-order shipments in this order and when they're due to go out
+  const preorders = order ? Object.keys(SHIPMENTS)
+    .filter(shipmentType => SHIPMENTS[shipmentType].expectedDate && shipmentLines(order, shipmentType).length > 0)
+    .map(shipmentType => ({ name: SHIPMENTS[shipmentType].unit, expectedDate: SHIPMENTS[shipmentType].expectedDate })) : [];
+
+  return {
+    // The order number shown to the buyer and in emails
+    number: session.id.slice(-8).toUpperCase(),
+    date: new Date(session.created * 1000).toISOString(),
+    items: lineItems.map(item => ({
+      name: item.description,
+      quantity: item.quantity,
+      amount: item.amount_subtotal / 100
+    })),
+    shipping: session.shipping_details ? {
+      method: session.shipping_cost?.shipping_rate?.display_name || null,
+      address: maskAddress(session.shipping_details)
+    } : null,
+    subtotal: session.amount_subtotal / 100,
+    discount: totals.amount_discount ? {
+      code: session.metadata?.promoCode || null,
+      amount: totals.amount_discount / 100
+    } : null,
+    shippingAmount: (totals.amount_shipping || 0) / 100,
+    tax: order?.tax ? order.tax.lines.map(line => ({
+      name: line.name,
+      percentage: line.percentage,
+      inclusive: line.inclusive,
+      amount: line.amount
+    })) : [],
+    taxAmount: (totals.amount_tax || 0) / 100,
+    total: session.amount_total / 100,
+    preorders
+  };
+}
+
+// Enough of the shipping address for the buyer to recognise it, without
+// handing the whole address to anyone holding the session ID: the first
+// letter of each word of the street lines and the start of the postal code.
+function maskAddress(shippingDetails) {
+  const address = shippingDetails.address || {};
+  const maskWords = value => String(value || '').split(/\s+/).filter(Boolean)
+    .map(word => word[0] + '•'.repeat(word.length - 1))
+    .join(' ');
+  const nameParts = String(shippingDetails.name || '').trim().split(/\s+/);
+
+  return {
+    name: nameParts.length > 1 ? `${nameParts[0]} ${nameParts[nameParts.length - 1][0]}.` : nameParts[0] || '',
+    line1: maskWords(address.line1),
+    line2: maskWords(address.line2),
+    city: address.city || '',
+    state: address.state || '',
+    postalCode: address.postal_code ? address.postal_code.slice(0, 3) + '•'.repeat(Math.max(address.postal_code.length - 3, 0)) : '',
+    country: address.country || ''
+  };
+}
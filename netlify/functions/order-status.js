@@ -0,0 +1,117 @@
+// netlify/functions/order-status.js
+// A buyer's orders for the public order status page, for the holder of a
+// link from request-order-link. Shipments come from the same fulfillment
+// records as the admin's (utils/fulfillment), but only what the buyer needs
+// to see: items, what has shipped, tracking, and when the rest is due.
+
+const Stripe = require('stripe');
+const { SHIPMENTS } = require('./utils/catalog');
+const { createKeapLookup } = require('./utils/fulfillment');
+const { listCustomerOrders, resolveLegacyOrders, shipmentLines } = require('./utils/orders');
+const { readOrderStatusToken, receiptLink } = require('./utils/links');
+
+function getStripe() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+  return new Stripe(secretKey);
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  let link;
+  try {
+    link = readOrderStatusToken(event.queryStringParameters?.token);
+  } catch (error) {
+    console.error('Order status configuration error:', error.message);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Order status is unavailable right now' }) };
+  }
+
+  if (!link) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'This link has expired or is not valid. Request a new one below.' })
+    };
+  }
+
+  try {
+    const orders = await listCustomerOrders(getStripe(), link.email);
+
+    // Shipped state for orders from before fulfillment records, as in get-orders
+    await resolveLegacyOrders(orders, createKeapLookup(process.env.KEAP_ACCESS_TOKEN));
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        email: link.email,
+        orders: orders.map(toCustomerOrder)
+      })
+    };
+
+  } catch (error) {
+    console.error('Order status error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Sorry, we could not load your orders. Please try again later.' })
+    };
+  }
+};
+
+// An order as the buyer sees it
+function toCustomerOrder(order) {
+  const fulfillment = order.fulfillment;
+  const refunded = order.refund?.status === 'full';
+
+  const shipments = Object.keys(SHIPMENTS)
+    .filter(shipmentType => shipmentLines(order, shipmentType).length > 0)
+    .map(shipmentType => {
+      const shipped = fulfillment[`${shipmentType}Shipped`];
+      let status;
+      if (shipped) status = 'shipped';
+      else if (refunded) status = 'cancelled';
+      else if (!fulfillment.checked) status = 'unknown'; // Keap couldn't be asked this time
+      else if (SHIPMENTS[shipmentType].expectedDate && !fulfillment[`${shipmentType}ReleasedAt`]) status = 'preorder';
+      else status = 'preparing';
+
+      return {
+        type: shipmentType,
+        name: SHIPMENTS[shipmentType].name,
+        status,
+        carrier: shipped ? fulfillment[`${shipmentType}Carrier`] : null,
+        trackingNumber: shipped ? fulfillment[`${shipmentType}TrackingNumber`] : null,
+        trackingUrl: shipped ? fulfillment[`${shipmentType}TrackingUrl`] : null,
+        shippedAt: shipped ? fulfillment[`${shipmentType}ShippedAt`] : null,
+        expectedDate: status === 'preorder' ? SHIPMENTS[shipmentType].expectedDate : null
+      };
+    });
+
+  return {
+    // The order number shown on the confirmation page
+    number: order.id.slice(-8).toUpperCase(),
+    date: order.createdDate,
+    items: order.items.map(item => ({ name: item.productName, quantity: item.quantity })),
+    currency: order.currency,
+    total: order.amountTotal,
+    refund: order.refund,
+    shipments,
+    receiptUrl: receiptLink(order.id)
+  };
+}
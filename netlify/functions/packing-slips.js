@@ -0,0 +1,290 @@
+// netlify/functions/packing-slips.js
+// Print-ready HTML packing slips, one page per order. Batches start with a
+// pick list of the items to pull.
+//
+// Query parameters:
+//   shipment - cards (default) | book
+//   orderIds - comma-separated checkout session or payment IDs; without
+//              them, every order matching `status` is included
+//   status   - unshipped (default) | pending | partial | fulfilled | all,
+//              as in export-orders
+//
+// The return address comes from RETURN_ADDRESS, with lines separated by "|".
+
+const Stripe = require('stripe');
+const { requireRole } = require('./utils/auth');
+const { SHIPMENTS } = require('./utils/catalog');
+const { INVENTORY_ITEMS } = require('./utils/inventory');
+const { findOrder, createKeapLookup } = require('./utils/fulfillment');
+const { recordAudit } = require('./utils/audit');
+const {
+  toOrder,
+  resolveLegacyOrders,
+  listOrders,
+  matchesShipmentStatus,
+  shipmentLines,
+  normalizeAddress
+} = require('./utils/orders');
+
+const MAX_SELECTED_ORDERS = 50;
+const MAX_BATCH_PAGES = 20;
+
+const STATUSES = ['unshipped', 'pending', 'partial', 'fulfilled', 'all'];
+
+// What the customer is told about the rest of a split-shipment order
+const SPLIT_SHIPMENT_NOTES = {
+  cards: 'Your copy of Rules To Live By (But Not Believe) ships separately.',
+  book: 'Your Destiny Cards were shipped separately.'
+};
+
+function getStripe() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+  return new Stripe(secretKey);
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  // Auth check
+  const auth = requireRole(event, 'shipper');
+  if (auth.error) {
+    return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error }) };
+  }
+
+  const params = event.queryStringParameters || {};
+  const shipmentType = params.shipment || 'cards';
+  const status = params.status || 'unshipped';
+  const orderIds = (params.orderIds || '').split(',').map(id => id.trim()).filter(Boolean);
+
+  if (!SHIPMENTS[shipmentType]) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: `shipment must be one of: ${Object.keys(SHIPMENTS).join(', ')}` }) };
+  }
+  if (!STATUSES.includes(status)) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: `status must be one of: ${STATUSES.join(', ')}` }) };
+  }
+  if (orderIds.length > MAX_SELECTED_ORDERS) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: `At most ${MAX_SELECTED_ORDERS} orders per batch` }) };
+  }
+
+  try {
+    const stripe = getStripe();
+    let orders;
+
+    if (orderIds.length > 0) {
+      // Selected orders print whatever their status
+      orders = [];
+      for (const orderId of orderIds) {
+        const session = await findOrder(stripe, orderId);
+        const order = session && session.status === 'complete' ? toOrder(session) : null;
+        if (!order) {
+          return { statusCode: 404, headers, body: JSON.stringify({ error: `No completed order with ID ${orderId}` }) };
+        }
+        orders.push(order);
+      }
+    } else {
+      // Oldest first, matching the shipping export
+      orders = (await listOrders(stripe, { maxPages: MAX_BATCH_PAGES })).reverse();
+      await resolveLegacyOrders(orders, createKeapLookup(process.env.KEAP_ACCESS_TOKEN));
+      orders = orders.filter(order => matchesShipmentStatus(order, shipmentType, status));
+    }
+
+    const slips = orders
+      .map(order => ({ order, lines: shipmentLines(order, shipmentType) }))
+      .filter(slip => slip.lines.length > 0);
+
+    await recordAudit(event, auth.user, 'packing-slips.print', {
+      orderId: slips.length === 1 ? slips[0].order.id : null,
+      details: { shipmentType, status: orderIds.length > 0 ? null : status, orderIds: slips.map(slip => slip.order.id) }
+    });
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' },
+      body: renderDocument(slips, shipmentType)
+    };
+
+  } catch (error) {
+    console.error('Packing slips error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function returnAddressLines() {
+  const lines = (process.env.RETURN_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean);
+  return lines.length > 0 ? lines : ['Destiny Cards'];
+}
+
+// Units of each physical item needed across the batch, e.g. { deck: 12 }
+function countPickList(slips) {
+  const totals = {};
+  for (const { lines } of slips) {
+    for (const line of lines) {
+      for (const [itemId, units] of Object.entries(line.units)) {
+        totals[itemId] = (totals[itemId] || 0) + units;
+      }
+    }
+  }
+  return totals;
+}
+
+function renderPickList(slips, shipmentType) {
+  const totals = countPickList(slips);
+  const byProduct = {};
+  for (const { lines } of slips) {
+    for (const line of lines) {
+      byProduct[line.productName] = (byProduct[line.productName] || 0) + line.quantity;
+    }
+  }
+
+  return `
+  <section class="page pick-list">
+    <h1>Pick List &middot; ${escapeHtml(SHIPMENTS[shipmentType].name)} shipment</h1>
+    <p class="muted">${slips.length} order${slips.length === 1 ? '' : 's'} &middot; printed ${new Date().toISOString().split('T')[0]}</p>
+    <table>
+      <thead><tr><th class="qty">Total</th><th>Item</th></tr></thead>
+      <tbody>
+        ${Object.entries(totals).map(([itemId, units]) => `
+        <tr><td class="qty">${units}</td><td>${escapeHtml(INVENTORY_ITEMS[itemId]?.name || itemId)}</td></tr>`).join('')}
+      </tbody>
+    </table>
+    <h2>By product</h2>
+    <table>
+      <tbody>
+        ${Object.entries(byProduct).map(([name, quantity]) => `
+        <tr><td class="qty">${quantity}</td><td>${escapeHtml(name)}</td></tr>`).join('')}
+      </tbody>
+    </table>
+  </section>`;
+}
+
+function renderSlip({ order, lines }, shipmentType) {
+  const shipTo = order.shipping?.address ? normalizeAddress(order.shipping.address) : null;
+  const shipToLines = shipTo ? [
+    order.shipping.name || order.customer.name,
+    shipTo.line1,
+    shipTo.line2,
+    [shipTo.city, shipTo.state, shipTo.postalCode].filter(Boolean).join(' '),
+    shipTo.country
+  ].filter(Boolean) : ['No shipping address'];
+
+  const splitShipment = lines.some(line => line.product.splitShipment);
+
+  return `
+  <section class="page slip">
+    <header>
+      <div>
+        <h1>Destiny Cards</h1>
+        <p class="muted">Packing slip &middot; ${escapeHtml(SHIPMENTS[shipmentType].name)}</p>
+      </div>
+      <div class="order-ref">
+        <div>Order ${escapeHtml(order.id.slice(-8).toUpperCase())}</div>
+        <div class="muted">${escapeHtml(order.createdDate.split('T')[0])}</div>
+        <div class="mono muted">${escapeHtml(order.id)}</div>
+      </div>
+    </header>
+    <div class="addresses">
+      <div>
+        <h2>Ship to</h2>
+        <p>${shipToLines.map(escapeHtml).join('<br>')}</p>
+      </div>
+      <div>
+        <h2>Return address</h2>
+        <p>${returnAddressLines().map(escapeHtml).join('<br>')}</p>
+      </div>
+    </div>
+    <table>
+      <thead><tr><th class="qty">Qty</th><th>Item</th><th>In this box</th></tr></thead>
+      <tbody>
+        ${lines.map(line => `
+        <tr>
+          <td class="qty">${line.quantity}</td>
+          <td>${escapeHtml(line.productName)}</td>
+          <td>${Object.values(line.units).reduce((sum, units) => sum + units, 0)} &times; ${escapeHtml(SHIPMENTS[shipmentType].unit)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+    ${splitShipment ? `<p class="note">${escapeHtml(SPLIT_SHIPMENT_NOTES[shipmentType])}</p>` : ''}
+    ${order.giftMessage ? `
+    <div class="gift">
+      <h2>Gift message</h2>
+      <p>${escapeHtml(order.giftMessage)}</p>
+    </div>` : ''}
+    <footer>Thank you for your order!</footer>
+  </section>`;
+}
+
+function renderDocument(slips, shipmentType) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Packing slips &middot; ${escapeHtml(SHIPMENTS[shipmentType].name)}</title>
+  <style>
+    body { font-family: Georgia, 'Times New Roman', serif; color: #111; margin: 0; }
+    .toolbar { padding: 1rem; background: #f3f0e8; border-bottom: 1px solid #ddd; }
+    .toolbar button { font: inherit; padding: 0.4rem 1rem; cursor: pointer; }
+    .page { padding: 0.75in; page-break-after: always; break-after: page; }
+    .page:last-child { page-break-after: auto; break-after: auto; }
+    h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+    h2 { font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em; color: #555; margin: 1.5rem 0 0.5rem; }
+    header { display: flex; justify-content: space-between; border-bottom: 2px solid #111; padding-bottom: 1rem; }
+    .order-ref { text-align: right; }
+    .addresses { display: flex; gap: 3rem; }
+    .addresses p { line-height: 1.5; margin: 0; }
+    table { width: 100%; border-collapse: collapse; margin-top: 1.5rem; }
+    th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #ccc; vertical-align: top; }
+    th { font-size: 0.8rem; text-transform: uppercase; color: #555; }
+    .qty { width: 3.5rem; text-align: center; font-weight: bold; }
+    .note { margin-top: 1.5rem; padding: 0.75rem; border: 1px dashed #999; }
+    .gift { margin-top: 1.5rem; padding: 0.75rem 1rem; border-left: 3px solid #b8860b; }
+    .gift p { font-style: italic; margin: 0; white-space: pre-wrap; }
+    .muted { color: #666; font-size: 0.85rem; margin: 0; }
+    .mono { font-family: monospace; font-size: 0.7rem; }
+    footer { margin-top: 2rem; text-align: center; color: #555; }
+    .empty { padding: 2rem; }
+    @media print {
+      .toolbar { display: none; }
+      .page { padding: 0; }
+      @page { margin: 0.6in; }
+    }
+  </style>
+</head>
+<body>
+  <div class="toolbar">
+    <button onclick="window.print()">Print</button>
+    <span>${slips.length} packing slip${slips.length === 1 ? '' : 's'}</span>
+  </div>
+  ${slips.length === 0
+    ? '<p class="empty">No orders to pack for this shipment.</p>'
+    : (slips.length > 1 ? renderPickList(slips, shipmentType) : '') + slips.map(slip => renderSlip(slip, shipmentType)).join('')}
+</body>
+</html>
+`;
+}
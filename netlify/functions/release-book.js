@@ -0,0 +1,342 @@
+// netlify/functions/release-book.js
+// Releases the pre-ordered book once it's in stock. GET lists every order
+// still waiting on its book; POST releases a small batch of them: the order
+// is marked ready to ship (bookReleasedAt, see utils/fulfillment), the
+// buyer's Keap pre-order tag comes off and the "Book Released" tag goes on,
+// which starts the book shipping sequence. Each release goes in the audit log.
+//
+// Releasing an order again only repeats the Keap update, so failed rows can
+// be retried.
+
+const Stripe = require('stripe');
+const { requireRole } = require('./utils/auth');
+const { BOOK_RELEASE_DATE, PRE_ORDER_TAG_PREFIX } = require('./utils/catalog');
+const {
+  findOrder,
+  orderMetadata,
+  readFulfillment,
+  hasFulfillmentRecord,
+  recordBookRelease,
+  getKeapShipments,
+  keapFulfillmentForOrder,
+  createKeapLookup
+} = require('./utils/fulfillment');
+const { toOrder, listOrders, resolveLegacyOrders, shipmentLines } = require('./utils/orders');
+const { recordAudit } = require('./utils/audit');
+
+const BOOK_RELEASED_TAG = 'Destiny Cards - Book Released';
+
+// Largest batch accepted per request. The admin sends the orders in chunks
+// of this size so each request finishes within the function timeout.
+const MAX_BATCH_SIZE = 5;
+
+// Pause between orders to stay under Keap's request rate limit
+const BATCH_ROW_DELAY_MS = 250;
+
+// Tag name -> ID, cleared at the start of each request
+const tagIdCache = new Map();
+
+function getStripe() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+  return new Stripe(secretKey);
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  // Auth check
+  const auth = requireRole(event, 'owner');
+  if (auth.error) {
+    return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error }) };
+  }
+
+  try {
+    const stripe = getStripe();
+
+    if (event.httpMethod === 'GET') {
+      return { statusCode: 200, headers, body: JSON.stringify(await listPendingBooks(stripe)) };
+    }
+
+    let orderIds;
+    try {
+      orderIds = JSON.parse(event.body || '{}').orderIds;
+    } catch (e) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    if (!Array.isArray(orderIds) || orderIds.length === 0 || orderIds.length > MAX_BATCH_SIZE) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: `Send between 1 and ${MAX_BATCH_SIZE} orderIds per request` }) };
+    }
+
+    const accessToken = process.env.KEAP_ACCESS_TOKEN;
+    if (!accessToken) {
+      return { statusCode: 500, headers, body: JSON.stringify({ error: 'KEAP_ACCESS_TOKEN not configured' }) };
+    }
+
+    // Tag IDs are looked up once per request
+    tagIdCache.clear();
+
+    const results = [];
+    for (let i = 0; i < orderIds.length; i++) {
+      if (i > 0) {
+        await sleep(BATCH_ROW_DELAY_MS);
+      }
+      const { statusCode, ...result } = await releaseOrder(stripe, accessToken, orderIds[i], event, auth.user);
+      results.push({ index: i, orderId: orderIds[i], ...result });
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: succeeded === results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      })
+    };
+
+  } catch (error) {
+    console.error('Book release error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: error.message }) };
+  }
+};
+
+// Every order with a book still to ship, oldest first, and whether it has
+// been released yet. Orders Keap couldn't be asked about are listed with
+// checked: false; releasing one checks Keap first.
+async function listPendingBooks(stripe) {
+  const orders = await listOrders(stripe);
+  await resolveLegacyOrders(orders, createKeapLookup(process.env.KEAP_ACCESS_TOKEN));
+
+  const pending = orders
+    .filter(order => shipmentLines(order, 'book').length > 0)
+    .filter(order => order.refund?.status !== 'full' && !order.fulfillment.bookShipped)
+    .reverse()
+    .map(order => ({
+      id: order.id,
+      created: order.createdDate,
+      name: order.customer.name,
+      email: order.customer.email,
+      releasedAt: order.fulfillment.bookReleasedAt,
+      checked: order.fulfillment.checked
+    }));
+
+  return { releaseDate: BOOK_RELEASE_DATE, orders: pending };
+}
+
+// Release one order's book. Returns a result with an HTTP status for
+// failures; never throws.
+async function releaseOrder(stripe, accessToken, orderId, event, user) {
+  let session;
+  let previous;
+  let fulfillment;
+
+  try {
+    session = await findOrder(stripe, orderId);
+    const order = session && session.status === 'complete' ? toOrder(session) : null;
+
+    if (!order) {
+      return { success: false, statusCode: 404, error: `No completed order with ID ${orderId}` };
+    }
+    if (shipmentLines(order, 'book').length === 0) {
+      return { success: false, statusCode: 400, error: 'This order has no book to ship' };
+    }
+    if (order.refund?.status === 'full') {
+      return { success: false, statusCode: 400, error: 'This order was refunded' };
+    }
+    // Orders from before fulfillment records may have had their book shipped
+    // already, which only Keap knows
+    const metadata = orderMetadata(session);
+    const current = readFulfillment(metadata);
+    let bookShipped = !!current.book;
+    if (!hasFulfillmentRecord(metadata)) {
+      const shipments = await getKeapShipments(accessToken, order.customer.email);
+      bookShipped = !!keapFulfillmentForOrder(shipments, order.created).book;
+    }
+    if (bookShipped) {
+      return { success: false, statusCode: 400, error: 'The book for this order has already shipped' };
+    }
+
+    previous = current.bookReleasedAt;
+    fulfillment = previous ? current : await recordBookRelease(stripe, session);
+  } catch (error) {
+    console.error(`Failed to release book for ${orderId}:`, error);
+    return { success: false, statusCode: 500, error: error.message };
+  }
+
+  const email = session.customer_details?.email;
+  const audit = {
+    orderId: session.id,
+    email,
+    before: previous ? { releasedAt: previous } : null,
+    after: { releasedAt: fulfillment.bookReleasedAt }
+  };
+
+  try {
+    const { contactId } = await releaseInKeap(accessToken, email);
+    await recordAudit(event, user, 'book.release', { ...audit, contactId, details: { releaseDate: BOOK_RELEASE_DATE, keapUpdated: true } });
+    return { success: true, email, releasedAt: fulfillment.bookReleasedAt, contactId };
+  } catch (error) {
+    console.error(`Keap book release failed for ${orderId}:`, error);
+    await recordAudit(event, user, 'book.release', { ...audit, details: { releaseDate: BOOK_RELEASE_DATE, keapUpdated: false, keapError: error.message } });
+    return {
+      success: false,
+      statusCode: 502,
+      saved: true,
+      email,
+      releasedAt: fulfillment.bookReleasedAt,
+      error: `Marked ready to ship, but the Keap update failed: ${error.message}`
+    };
+  }
+}
+
+// Swap the buyer's pre-order tags, whatever date they carry, for the
+// released tag
+async function releaseInKeap(accessToken, email) {
+  const searchResponse = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts?email=${encodeURIComponent(email)}`,
+    {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+
+  if (!searchResponse.ok) {
+    throw new Error(`Contact search failed: ${searchResponse.status}`);
+  }
+
+  const contactId = (await searchResponse.json()).contacts?.[0]?.id;
+  if (!contactId) {
+    throw new Error(`No contact found with email: ${email}`);
+  }
+
+  const tagsResponse = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contactId}/tags`,
+    {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    }
+  );
+
+  if (!tagsResponse.ok) {
+    throw new Error(`Contact tags lookup failed: ${tagsResponse.status}`);
+  }
+
+  const preOrderTagIds = ((await tagsResponse.json()).tags || [])
+    .filter(applied => (applied.tag?.name || '').startsWith(PRE_ORDER_TAG_PREFIX))
+    .map(applied => applied.tag.id);
+
+  for (const tagId of preOrderTagIds) {
+    await removeTagFromContact(accessToken, contactId, tagId);
+  }
+
+  const releasedTagId = await getOrCreateTag(accessToken, BOOK_RELEASED_TAG);
+  await applyTagToContact(accessToken, contactId, releasedTagId);
+
+  return { contactId };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function getOrCreateTag(accessToken, tagName) {
+  if (tagIdCache.has(tagName)) {
+    return tagIdCache.get(tagName);
+  }
+
+  const searchResponse = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/tags?name=${encodeURIComponent(tagName)}`,
+    {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    }
+  );
+
+  if (!searchResponse.ok) {
+    throw new Error(`Tag search failed: ${searchResponse.status}`);
+  }
+
+  const searchData = await searchResponse.json();
+
+  if (searchData.tags && searchData.tags.length > 0) {
+    tagIdCache.set(tagName, searchData.tags[0].id);
+    return searchData.tags[0].id;
+  }
+
+  const createResponse = await fetch(
+    'https://api.infusionsoft.com/crm/rest/v1/tags',
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        name: tagName,
+        description: 'Auto-created for the Destiny Cards book release'
+      })
+    }
+  );
+
+  if (!createResponse.ok) {
+    throw new Error(`Tag creation failed: ${createResponse.status}`);
+  }
+
+  const newTag = await createResponse.json();
+  tagIdCache.set(tagName, newTag.id);
+  return newTag.id;
+}
+
+async function applyTagToContact(accessToken, contactId, tagId) {
+  const response = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contactId}/tags`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ tagIds: [tagId] })
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Tag application failed: ${response.status}`);
+  }
+}
+
+async function removeTagFromContact(accessToken, contactId, tagId) {
+  const response = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contactId}/tags/${tagId}`,
+    {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      }
+    }
+  );
+
+  // 404 is ok - tag wasn't applied
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Tag removal failed: ${response.status}`);
+  }
+}
@@ -0,0 +1,215 @@
+// netlify/functions/request-order-link.js
+// Emails a buyer a link to their order status page (see utils/links). The
+// link goes in a Keap contact field and the "Order Status Link" tag triggers
+// the email (email-templates/order-status-link.html).
+//
+// The response is the same whether or not the email has orders, so the
+// form can't be used to find out who has bought.
+
+const Stripe = require('stripe');
+const { listCustomerOrders } = require('./utils/orders');
+const { ORDER_STATUS_LINK_HOURS, orderStatusLink, readOrderStatusToken } = require('./utils/links');
+
+// Keap custom field holding the latest link, for the email template
+const ORDER_STATUS_LINK_FIELD = 341;
+
+const ORDER_STATUS_LINK_TAG = 'Destiny Cards - Order Status Link';
+
+// A new link is sent at most this often per email
+const RESEND_AFTER_MINUTES = 5;
+
+const SENT_MESSAGE = `If we have orders for that email, we've sent it a link to see them. The link works for ${ORDER_STATUS_LINK_HOURS} hours.`;
+
+function getStripe() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+  return new Stripe(secretKey);
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  let email;
+  try {
+    email = String(JSON.parse(event.body || '{}').email || '').trim();
+  } catch (e) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+  }
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 254) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Please enter a valid email address' }) };
+  }
+
+  try {
+    const accessToken = process.env.KEAP_ACCESS_TOKEN;
+    if (!accessToken) {
+      throw new Error('KEAP_ACCESS_TOKEN not configured');
+    }
+
+    const orders = await listCustomerOrders(getStripe(), email, { maxPages: 1 });
+    if (orders.length === 0) {
+      console.log('Order link requested for an email with no orders');
+      return { statusCode: 200, headers, body: JSON.stringify({ message: SENT_MESSAGE }) };
+    }
+
+    // The email as they used it at checkout, which is how Keap has it
+    const orderEmail = orders[0].customer.email;
+    await sendOrderStatusLink(accessToken, orderEmail);
+
+    return { statusCode: 200, headers, body: JSON.stringify({ message: SENT_MESSAGE }) };
+
+  } catch (error) {
+    console.error('Order link error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Sorry, we could not send your link. Please try again later.' })
+    };
+  }
+};
+
+// Save a fresh link on the buyer's Keap contact and re-apply the tag that
+// sends it, unless one went out in the last few minutes
+async function sendOrderStatusLink(accessToken, email) {
+  const searchResponse = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts?email=${encodeURIComponent(email)}&optional_properties=custom_fields`,
+    {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+
+  if (!searchResponse.ok) {
+    throw new Error(`Contact search failed: ${searchResponse.status}`);
+  }
+
+  const contact = (await searchResponse.json()).contacts?.[0];
+  if (!contact) {
+    console.warn('Order link requested for a buyer with no Keap contact');
+    return;
+  }
+
+  const previousLink = (contact.custom_fields || []).find(f => f.id === ORDER_STATUS_LINK_FIELD)?.content;
+  const previous = readOrderStatusToken(previousLink);
+  if (previous && previous.issuedAt > Date.now() / 1000 - RESEND_AFTER_MINUTES * 60) {
+    console.log(`Order link for contact ${contact.id} sent recently, not resending`);
+    return;
+  }
+
+  const updateResponse = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contact.id}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        custom_fields: [{ id: ORDER_STATUS_LINK_FIELD, content: orderStatusLink(email) }]
+      })
+    }
+  );
+
+  if (!updateResponse.ok) {
+    throw new Error(`Contact update failed: ${updateResponse.status}`);
+  }
+
+  // Keap sends the email when the tag is applied, so take it off first
+  const tagId = await getOrCreateTag(accessToken, ORDER_STATUS_LINK_TAG);
+  await removeTagFromContact(accessToken, contact.id, tagId);
+  await applyTagToContact(accessToken, contact.id, tagId);
+
+  console.log(`Order link sent to contact ${contact.id}`);
+}
+
+async function getOrCreateTag(accessToken, tagName) {
+  const searchResponse = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/tags?name=${encodeURIComponent(tagName)}`,
+    {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    }
+  );
+
+  if (!searchResponse.ok) {
+    throw new Error(`Tag search failed: ${searchResponse.status}`);
+  }
+
+  const searchData = await searchResponse.json();
+
+  if (searchData.tags && searchData.tags.length > 0) {
+    return searchData.tags[0].id;
+  }
+
+  const createResponse = await fetch(
+    'https://api.infusionsoft.com/crm/rest/v1/tags',
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        name: tagName,
+        description: 'Auto-created for Destiny Cards order status links'
+      })
+    }
+  );
+
+  if (!createResponse.ok) {
+    throw new Error(`Tag creation failed: ${createResponse.status}`);
+  }
+
+  const newTag = await createResponse.json();
+  return newTag.id;
+}
+
+async function applyTagToContact(accessToken, contactId, tagId) {
+  const response = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contactId}/tags`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ tagIds: [tagId] })
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Tag application failed: ${response.status}`);
+  }
+}
+
+async function removeTagFromContact(accessToken, contactId, tagId) {
+  const response = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contactId}/tags/${tagId}`,
+    {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      }
+    }
+  );
+
+  // 404 is ok - tag wasn't applied
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Tag removal failed: ${response.status}`);
+  }
+}
@@ -2,6 +2,8 @@
 // Handles Stripe webhooks for order fulfillment and Keap integration
 
 const Stripe = require('stripe');
+const { PRE_ORDER_TAG, getProduct } = require('./utils/catalog');
+const { formatMoney, toSettlementAmount } = require('./utils/currency');
 
 function getStripe() {
   const secretKey = process.env.STRIPE_SECRET_KEY;
@@ -41,17 +43,34 @@ exports.handler = async (event, context) => {
   try {
     switch (stripeEvent.type) {
       case 'checkout.session.completed':
-        await handleCheckoutComplete(stripeEvent.data.object);
-        break;
-
       case 'checkout.session.async_payment_succeeded':
-        await handleCheckoutComplete(stripeEvent.data.object);
+        await handleCheckoutComplete(stripeEvent.data.object, stripeEvent.id);
         break;
 
       case 'checkout.session.async_payment_failed':
         console.log('Payment failed for session:', stripeEvent.data.object.id);
         break;
 
+      case 'checkout.session.expired':
+        await handleCheckoutExpired(stripeEvent.data.object, stripeEvent.created);
+        break;
+
+      case 'charge.updated':
+        await handleChargeUpdated(stripeEvent.data.object);
+        break;
+
+      case 'charge.refunded':
+        await handleChargeRefunded(stripeEvent.data.object);
+        break;
+
+      case 'charge.dispute.created':
+        await handleDisputeCreated(stripeEvent.data.object);
+        break;
+
+      case 'charge.dispute.closed':
+        await handleDisputeClosed(stripeEvent.data.object);
+        break;
+
       default:
         console.log(`Unhandled event type: ${stripeEvent.type}`);
     }
@@ -70,13 +89,42 @@ exports.handler = async (event, context) => {
   }
 };
 
-async function handleCheckoutComplete(sessionFromWebhook) {
+async function handleCheckoutComplete(sessionFromWebhook, eventId) {
   console.log('Processing completed checkout:', sessionFromWebhook.id);
 
   // Retrieve full session from Stripe API to get shipping details
   // (webhook payload doesn't include all fields by default)
   const stripe = getStripe();
-  const session = await stripe.checkout.sessions.retrieve(sessionFromWebhook.id);
+  const session = await stripe.checkout.sessions.retrieve(sessionFromWebhook.id, {
+    expand: ['payment_intent.latest_charge.balance_transaction']
+  });
+
+  // Delayed payment methods complete the session before the money arrives.
+  // checkout.session.async_payment_succeeded follows once it does.
+  if (session.payment_status === 'unpaid') {
+    console.log('Payment not yet received, waiting for async_payment_succeeded:', session.id);
+    return;
+  }
+
+  const paymentIntent = session.payment_intent;
+  // Zero-amount sessions (e.g. a 100% promo code) have no PaymentIntent, so
+  // their ledger is kept in the session's own metadata
+  const ledger = (paymentIntent ? paymentIntent.metadata : session.metadata) || {};
+
+  // What the order settled for in the account's currency, for TOTAL_SPENT.
+  // Some payment methods only get a balance transaction after the session
+  // completes; the order is then recorded without it and charge.updated
+  // adds the settled amount (see handleChargeUpdated).
+  const balanceTransaction = paymentIntent?.latest_charge?.balance_transaction;
+  const settlementPending = !!paymentIntent && !balanceTransaction;
+  if (settlementPending) {
+    console.log(`Charge for ${paymentIntent.id} has no balance transaction yet, settled amount to follow`);
+  }
+
+  if (ledger[LEDGER.STATUS] === 'complete') {
+    console.log(`Session ${session.id} already integrated with Keap (event ${ledger[LEDGER.EVENT_ID]}), skipping`);
+    return;
+  }
 
   // Handle both old and new Stripe API versions
   // Old: session.shipping_details
@@ -102,37 +150,128 @@ async function handleCheckoutComplete(sessionFromWebhook) {
 
   const hasPreOrder = metadata.hasPreOrder === 'true';
   const emailConsent = metadata.emailConsent === 'true';
+  const promoCode = metadata.promoCode || null;
 
   // Split name into first/last
   const nameParts = customerName.split(' ');
   const firstName = nameParts[0] || '';
   const lastName = nameParts.slice(1).join(' ') || '';
 
-  // Integrate with Keap
-  try {
-    await integrateWithKeap({
-      firstName,
-      lastName,
-      email: customerEmail,
-      emailConsent,
-      cartItems,
-      shippingAddress: shippingAddress ? {
-        line1: shippingAddress.line1,
-        line2: shippingAddress.line2 || '',
-        city: shippingAddress.city,
-        state: shippingAddress.state,
-        postalCode: shippingAddress.postal_code,
-        country: shippingAddress.country
-      } : null,
-      paymentId: session.payment_intent,
-      amountPaid: session.amount_total / 100,
-      hasPreOrder
-    });
-    console.log('Keap integration successful');
-  } catch (keapError) {
-    console.error('Keap integration failed:', keapError);
-    // Don't throw - payment succeeded, we just log the Keap failure
+  // Integrate with Keap. Failures propagate so Stripe retries the event;
+  // the ledger lets the retry pick up after the last step that succeeded.
+  await integrateWithKeap({
+    firstName,
+    lastName,
+    email: customerEmail,
+    emailConsent,
+    cartItems,
+    shippingAddress: shippingAddress ? {
+      line1: shippingAddress.line1,
+      line2: shippingAddress.line2 || '',
+      city: shippingAddress.city,
+      state: shippingAddress.state,
+      postalCode: shippingAddress.postal_code,
+      country: shippingAddress.country
+    } : null,
+    paymentId: paymentIntent?.id || null,
+    currency: session.currency,
+    amountPaid: session.amount_total / 100,
+    amountSettled: (balanceTransaction?.amount || 0) / 100,
+    settlementPending,
+    promoCode,
+    discountAmount: (session.total_details?.amount_discount || 0) / 100,
+    productTotal: (session.amount_subtotal - (session.total_details?.amount_discount || 0)) / 100,
+    orderDate: new Date(session.created * 1000),
+    hasPreOrder,
+    ledger,
+    recordStep: (fields) => {
+      const stepFields = {
+        [LEDGER.SESSION_ID]: session.id,
+        [LEDGER.EVENT_ID]: eventId,
+        ...fields
+      };
+      return paymentIntent
+        ? updateLedger(stripe, paymentIntent.id, stepFields)
+        : stripe.checkout.sessions.update(session.id, { metadata: stepFields });
+    }
+  });
+  console.log('Keap integration successful');
+}
+
+// An expired session no longer counts as open, so get-inventory and
+// create-checkout-session stop treating its units as reserved. If the buyer
+// let it run out and agreed to emails, their cart goes to Keap for the
+// abandoned checkout sequence.
+async function handleCheckoutExpired(session, expiredAt) {
+  console.log(`Checkout expired, released reservation held by session ${session.id}`);
+
+  // create-checkout-session expires sessions early when the buyer reopens
+  // checkout or the stock runs out; neither is an abandoned cart
+  if (expiredAt < session.expires_at) {
+    return;
+  }
+
+  const email = session.customer_email || session.customer_details?.email;
+  if (!email || session.metadata?.emailConsent !== 'true') {
+    return;
+  }
+
+  // They may have bought in another tab since
+  const stripe = getStripe();
+  const purchases = await stripe.checkout.sessions.list({
+    customer_details: { email },
+    status: 'complete',
+    created: { gte: session.created },
+    limit: 1
+  });
+  if (purchases.data.length > 0) {
+    console.log(`Buyer of expired session ${session.id} has since ordered, not tagging`);
+    return;
+  }
+
+  await recordAbandonedCheckout(getKeapToken(), email, session);
+}
+
+// Processing ledger, kept in the PaymentIntent's metadata (the session's for
+// zero-amount sessions, see handleCheckoutComplete). Each checkout
+// session is integrated once; retries and the async_payment_succeeded
+// follow-up read it to skip the steps that already ran. Refunds and
+// disputes record what they have already applied the same way.
+const LEDGER = {
+  SESSION_ID: 'keapSessionId',
+  EVENT_ID: 'keapEventId',
+  STATUS: 'keapSyncStatus', // 'partial' or 'complete'
+  CONTACT_ID: 'keapContactId', // set once the contact upsert succeeded
+  RETURNING_CUSTOMER: 'keapReturningCustomer',
+  TAGS_APPLIED: 'keapTagsApplied', // comma-separated Keap tag IDs
+  REFUNDED_AMOUNT: 'refundedAmount', // cents already subtracted in Keap
+  REFUND_STATUS: 'refundStatus', // 'partial' or 'full'
+  RESTOCKED: 'restocked', // 'true' once the order's units are back in stock
+  DISPUTE_STATUS: 'disputeStatus', // Stripe's dispute status
+  SETTLEMENT: 'keapSettlement' // 'pending' until the settled amount is in TOTAL_SPENT
+};
+
+// Marks an ORDER_HISTORY entry whose settled amount isn't in TOTAL_SPENT yet.
+// It goes before the amount, which backfill-keap's reconcile reads from the
+// end of the entry.
+const SETTLEMENT_PENDING_NOTE = ' (settlement pending)';
+
+// `history` with the pending note cleared from the entry for `paymentId`,
+// or null if that entry isn't pending
+function clearSettlementPending(history, paymentId) {
+  const entries = history.split('\n---\n');
+  const index = entries.findIndex(entry =>
+    entry.endsWith(` [${paymentId}]`) && entry.includes(SETTLEMENT_PENDING_NOTE)
+  );
+  if (index === -1) {
+    return null;
   }
+  entries[index] = entries[index].replace(SETTLEMENT_PENDING_NOTE, '');
+  return entries.join('\n---\n');
+}
+
+async function updateLedger(stripe, paymentIntentId, fields) {
+  await stripe.paymentIntents.update(paymentIntentId, { metadata: fields });
 }
 
 // Keap integration (same as before, but triggered by webhook)
@@ -146,7 +285,10 @@ async function integrateWithKeap(data) {
     shippingAddress,
     paymentId,
     amountPaid,
-    hasPreOrder
+    orderDate,
+    hasPreOrder,
+    ledger,
+    recordStep
   } = data;
 
   const accessToken = process.env.KEAP_ACCESS_TOKEN;
@@ -155,19 +297,125 @@ async function integrateWithKeap(data) {
     throw new Error('Keap access token not configured');
   }
 
+  // Step 1: contact upsert (order fields, history and total spent)
+  let contactId = ledger[LEDGER.CONTACT_ID];
+  let isReturningCustomer = ledger[LEDGER.RETURNING_CUSTOMER] === 'true';
+
+  if (contactId) {
+    console.log(`Contact ${contactId} already updated for this order, resuming at tags`);
+  } else {
+    let settlementPending;
+    ({ contactId, isReturningCustomer, settlementPending } = await upsertOrderContact(accessToken, data));
+    await recordStep({
+      [LEDGER.STATUS]: 'partial',
+      [LEDGER.CONTACT_ID]: String(contactId),
+      [LEDGER.RETURNING_CUSTOMER]: String(isReturningCustomer),
+      ...(settlementPending ? { [LEDGER.SETTLEMENT]: 'pending' } : {})
+    });
+  }
+
+  // Step 2: tags
+  const tags = [
+    'Destiny Cards - Order Received',
+    'Destiny Cards - 1st Edition',
+    'Destiny Cards - Awaiting Shipment'
+  ];
+
+  // Add repeat customer tag if applicable
+  if (isReturningCustomer) {
+    tags.push('Destiny Cards - Repeat Customer');
+  }
+
+  // Add product-specific tags
+  for (const item of cartItems) {
+    const product = getProduct(item.productId);
+    if (product?.keapTag) {
+      tags.push(product.keapTag);
+    }
+  }
+
+  // Add pre-order tags
+  if (hasPreOrder) {
+    tags.push(PRE_ORDER_TAG);
+    tags.push('Destiny Cards - Pending Book Shipment');
+  }
+
+  // Add date tag
+  const orderMonth = orderDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  tags.push(`Destiny Cards - ${orderMonth}`);
+
+  // Apply each tag, skipping the ones a previous attempt already applied
+  const appliedTagIds = (ledger[LEDGER.TAGS_APPLIED] || '').split(',').filter(Boolean);
+  const failedTags = [];
+
+  for (const tagName of tags) {
+    try {
+      const tagId = String(await getOrCreateTag(accessToken, tagName));
+      if (appliedTagIds.includes(tagId)) {
+        continue;
+      }
+      await applyTagToContact(accessToken, contactId, tagId);
+      appliedTagIds.push(tagId);
+    } catch (tagError) {
+      console.error(`Failed to apply tag "${tagName}":`, tagError);
+      failedTags.push(tagName);
+    }
+  }
+
+  // The order recovers any checkout they abandoned before
+  try {
+    await removeTagByName(accessToken, contactId, ABANDONED_CHECKOUT_TAG);
+  } catch (tagError) {
+    console.error(`Failed to remove tag "${ABANDONED_CHECKOUT_TAG}":`, tagError);
+    failedTags.push(ABANDONED_CHECKOUT_TAG);
+  }
+
+  await recordStep({
+    [LEDGER.STATUS]: failedTags.length > 0 ? 'partial' : 'complete',
+    [LEDGER.TAGS_APPLIED]: appliedTagIds.join(',')
+  });
+
+  if (failedTags.length > 0) {
+    throw new Error(`Failed to apply tags: ${failedTags.join(', ')}`);
+  }
+
+  return { success: true, contactId };
+}
+
+// Create or update the Keap contact with this order's details
+async function upsertOrderContact(accessToken, data) {
+  const {
+    firstName,
+    lastName,
+    email,
+    emailConsent,
+    cartItems,
+    shippingAddress,
+    paymentId,
+    currency,
+    amountPaid,
+    amountSettled,
+    settlementPending,
+    promoCode,
+    discountAmount,
+    productTotal,
+    orderDate,
+    hasPreOrder
+  } = data;
+
   // Format shipping address
   const shippingAddressFormatted = shippingAddress
     ? `${shippingAddress.line1}${shippingAddress.line2 ? '\n' + shippingAddress.line2 : ''}\n${shippingAddress.city}, ${shippingAddress.state} ${shippingAddress.postalCode}\n${shippingAddress.country}`
     : 'Not provided';
 
-  // Build order summary
-  const orderSummary = cartItems.map(item =>
+  // Build order summary, noting the promo code that drove the sale
+  let orderSummary = cartItems.map(item =>
     `${item.quantity}x ${item.productName}`
   ).join('\n');
 
-  const totalPrice = cartItems.reduce((sum, item) =>
-    sum + (item.productPrice * item.quantity), 0
-  );
+  if (promoCode) {
+    orderSummary += `\nPromo code ${promoCode} (-${formatMoney(discountAmount, currency)})`;
+  }
 
   const productIds = cartItems.map(item => item.productId).join(', ');
 
@@ -185,7 +433,8 @@ async function integrateWithKeap(data) {
     BOOK_SHIPPED_DATE: 321,
     HAS_PREORDER: 323,
     ORDER_HISTORY: 325,
-    TOTAL_SPENT: 327
+    TOTAL_SPENT: 327, // in the Stripe account's settlement currency
+    ORDER_CURRENCY: 337 // currency of PRODUCT_PRICE
   };
 
   // Search for existing contact
@@ -204,22 +453,26 @@ async function integrateWithKeap(data) {
   }
 
   const searchData = await searchResponse.json();
-  const isReturningCustomer = searchData.contacts && searchData.contacts.length > 0;
+  const existingContact = searchData.contacts && searchData.contacts.length > 0;
+  // A contact can exist without orders, e.g. from an abandoned checkout
+  let isReturningCustomer = false;
 
-  // Format this order for history
-  const orderDateFormatted = new Date().toLocaleDateString('en-US', {
+  // Format this order for history. The payment ID marks the entry so the
+  // same order is never added twice.
+  const orderDateFormatted = orderDate.toLocaleDateString('en-US', {
     month: 'short',
     day: 'numeric',
     year: 'numeric'
   });
-  const thisOrderEntry = `${orderDateFormatted}: ${orderSummary} ($${amountPaid.toFixed(2)})`;
+  const thisOrderEntry = `${orderDateFormatted}: ${orderSummary}${settlementPending ? SETTLEMENT_PENDING_NOTE : ''} (${formatMoney(amountPaid, currency)})${paymentId ? ` [${paymentId}]` : ''}`;
 
   // Initialize order history and total spent for this order
   let orderHistory = thisOrderEntry;
-  let totalSpent = amountPaid;
+  let totalSpent = amountSettled;
+  let stillPending = settlementPending;
 
-  // If returning customer, fetch their current values and append/add
-  if (isReturningCustomer) {
+  // If the contact exists, fetch their current values and append/add
+  if (existingContact) {
     const existingContactId = searchData.contacts[0].id;
 
     // Fetch full contact details to get custom field values
@@ -237,31 +490,50 @@ async function integrateWithKeap(data) {
       const contactDetail = await contactDetailResponse.json();
       const existingCustomFields = contactDetail.custom_fields || [];
 
-      // Find existing ORDER_HISTORY value
       const existingHistoryField = existingCustomFields.find(f => f.id === CUSTOM_FIELDS.ORDER_HISTORY);
-      if (existingHistoryField && existingHistoryField.content) {
-        // Prepend new order to existing history (newest first)
-        orderHistory = `${thisOrderEntry}\n---\n${existingHistoryField.content}`;
-      }
-
-      // Find existing TOTAL_SPENT value
       const existingSpentField = existingCustomFields.find(f => f.id === CUSTOM_FIELDS.TOTAL_SPENT);
-      if (existingSpentField && existingSpentField.content) {
-        const previousTotal = parseFloat(existingSpentField.content) || 0;
-        totalSpent = previousTotal + amountPaid;
+      const previousTotal = parseFloat(existingSpentField?.content) || 0;
+      const alreadyRecorded = paymentId && existingHistoryField?.content?.includes(paymentId);
+
+      if (alreadyRecorded) {
+        // An earlier attempt updated the contact but never reached the ledger
+        console.log(`Order ${paymentId} already in ORDER_HISTORY, keeping existing totals`);
+        orderHistory = existingHistoryField.content;
+        totalSpent = previousTotal;
+        isReturningCustomer = orderHistory.includes('\n---\n');
+
+        // ...possibly before the settled amount was known
+        const settledHistory = clearSettlementPending(orderHistory, paymentId);
+        stillPending = settledHistory !== null;
+        if (stillPending && !settlementPending) {
+          orderHistory = settledHistory;
+          totalSpent = previousTotal + amountSettled;
+          stillPending = false;
+        }
+      } else {
+        isReturningCustomer = !!existingHistoryField?.content;
+        // Prepend new order to existing history (newest first)
+        if (existingHistoryField && existingHistoryField.content) {
+          orderHistory = `${thisOrderEntry}\n---\n${existingHistoryField.content}`;
+        }
+        totalSpent = previousTotal + amountSettled;
       }
     }
 
-    console.log(`Returning customer detected. Total spent: $${totalSpent.toFixed(2)}`);
+    if (isReturningCustomer) {
+      console.log(`Returning customer detected. Total spent: ${totalSpent.toFixed(2)}`);
+    }
   }
 
   const customFields = [
     { id: CUSTOM_FIELDS.PRODUCT_ORDERED, content: productIds },
     { id: CUSTOM_FIELDS.ORDER_SUMMARY, content: orderSummary },
-    { id: CUSTOM_FIELDS.PRODUCT_PRICE, content: totalPrice.toString() },
+    // Product total after discount, before shipping, as Stripe charged it
+    { id: CUSTOM_FIELDS.PRODUCT_PRICE, content: productTotal.toFixed(2) },
+    { id: CUSTOM_FIELDS.ORDER_CURRENCY, content: currency.toUpperCase() },
     { id: CUSTOM_FIELDS.SHIPPING_ADDRESS, content: shippingAddressFormatted },
     { id: CUSTOM_FIELDS.PAYMENT_ID, content: paymentId },
-    { id: CUSTOM_FIELDS.ORDER_DATE, content: new Date().toISOString().split('T')[0] },
+    { id: CUSTOM_FIELDS.ORDER_DATE, content: orderDate.toISOString().split('T')[0] },
     { id: CUSTOM_FIELDS.HAS_PREORDER, content: hasPreOrder ? 'Yes' : 'No' },
     { id: CUSTOM_FIELDS.ORDER_HISTORY, content: orderHistory },
     { id: CUSTOM_FIELDS.TOTAL_SPENT, content: totalSpent.toFixed(2) }
@@ -286,7 +558,7 @@ async function integrateWithKeap(data) {
 
   let contactId;
 
-  if (isReturningCustomer) {
+  if (existingContact) {
     // Update existing contact
     contactId = searchData.contacts[0].id;
     const updateResponse = await fetch(
@@ -332,48 +604,435 @@ async function integrateWithKeap(data) {
     contactId = newContact.id;
   }
 
-  // Apply tags
-  const tags = [
-    'Destiny Cards - Order Received',
-    'Destiny Cards - 1st Edition',
-    'Destiny Cards - Awaiting Shipment'
-  ];
+  return { contactId, isReturningCustomer, settlementPending: stillPending };
+}
 
-  // Add repeat customer tag if applicable
-  if (isReturningCustomer) {
-    tags.push('Destiny Cards - Repeat Customer');
+// ============================================
+// ABANDONED CHECKOUTS
+// ============================================
+
+// Applied when a consenting buyer's checkout expires unpaid, for Keap's
+// recovery sequence; removed when they order (see integrateWithKeap)
+const ABANDONED_CHECKOUT_TAG = 'Destiny Cards - Abandoned Checkout';
+
+// Custom field with the abandoned cart, for the recovery emails
+const ABANDONED_CART_FIELD = 339;
+
+// Create or update the buyer's contact with the abandoned cart, and tag it.
+// Safe to repeat when Stripe redelivers the event.
+async function recordAbandonedCheckout(accessToken, email, session) {
+  let cartItems = [];
+  try {
+    cartItems = JSON.parse(session.metadata?.cartItems || '[]');
+  } catch (e) {
+    console.error('Failed to parse cart items:', e);
   }
 
-  // Add product-specific tags
-  for (const item of cartItems) {
-    if (item.productId === 'cards-only') {
-      tags.push('Destiny Cards - Cards Only');
-    } else if (item.productId === 'cards-book-bundle') {
-      tags.push('Destiny Cards - Cards + Book Bundle');
+  const dateFormatted = new Date(session.created * 1000).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  const cartSummary = [
+    ...cartItems.map(item => `${item.quantity}x ${item.productName}`),
+    `${formatMoney(session.amount_total / 100, session.currency)} on ${dateFormatted}`
+  ].join('\n');
+
+  const searchResponse = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts?email=${encodeURIComponent(email)}`,
+    {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      }
     }
+  );
+
+  if (!searchResponse.ok) {
+    throw new Error(`Contact search failed: ${searchResponse.status}`);
   }
 
-  // Add pre-order tags
-  if (hasPreOrder) {
-    tags.push('Destiny Cards - Pre-Order (Book Ships March 2026)');
-    tags.push('Destiny Cards - Pending Book Shipment');
+  const searchData = await searchResponse.json();
+  let contactId = searchData.contacts?.[0]?.id;
+  const customFields = [{ id: ABANDONED_CART_FIELD, content: cartSummary }];
+
+  if (contactId) {
+    const updateResponse = await fetch(
+      `https://api.infusionsoft.com/crm/rest/v1/contacts/${contactId}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ custom_fields: customFields })
+      }
+    );
+
+    if (!updateResponse.ok) {
+      const errorBody = await updateResponse.text();
+      throw new Error(`Contact update failed: ${updateResponse.status} - ${errorBody}`);
+    }
+  } else {
+    const createResponse = await fetch(
+      'https://api.infusionsoft.com/crm/rest/v1/contacts',
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          email_addresses: [{ email: email, field: 'EMAIL1' }],
+          opt_in_reason: 'Destiny Cards Checkout',
+          custom_fields: customFields
+        })
+      }
+    );
+
+    if (!createResponse.ok) {
+      const errorBody = await createResponse.text();
+      throw new Error(`Contact creation failed: ${createResponse.status} - ${errorBody}`);
+    }
+
+    contactId = (await createResponse.json()).id;
   }
 
-  // Add date tag
-  const orderDate = new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-  tags.push(`Destiny Cards - ${orderDate}`);
+  await applyTagByName(accessToken, contactId, ABANDONED_CHECKOUT_TAG);
+  console.log(`Tagged contact ${contactId} for abandoned checkout ${session.id}`);
+}
 
-  // Apply each tag
-  for (const tagName of tags) {
-    try {
-      const tagId = await getOrCreateTag(accessToken, tagName);
-      await applyTagToContact(accessToken, contactId, tagId);
-    } catch (tagError) {
-      console.error(`Failed to apply tag "${tagName}":`, tagError);
+// ============================================
+// LATE SETTLEMENT
+// ============================================
+
+// charge.updated fires when a charge gets its balance transaction, among
+// other changes. Orders recorded before theirs existed get the settled
+// amount added to TOTAL_SPENT here.
+async function handleChargeUpdated(charge) {
+  const paymentIntentId = charge.payment_intent;
+  if (!paymentIntentId || !charge.balance_transaction) {
+    return;
+  }
+
+  const stripe = getStripe();
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  const ledger = paymentIntent.metadata || {};
+  if (ledger[LEDGER.SETTLEMENT] !== 'pending') {
+    return;
+  }
+
+  const accessToken = getKeapToken();
+  const contact = await findOrderContact(stripe, accessToken, paymentIntentId, ledger);
+  if (!contact) {
+    console.warn(`No Keap contact for settled payment ${paymentIntentId}`);
+    return;
+  }
+
+  const balanceTransaction = await getChargeBalanceTransaction(stripe, charge.id);
+  await recordSettlementInKeap(accessToken, contact, {
+    paymentId: paymentIntentId,
+    amountSettled: balanceTransaction.amount / 100
+  });
+  await updateLedger(stripe, paymentIntentId, { [LEDGER.SETTLEMENT]: 'recorded' });
+  console.log(`Recorded settled amount for ${paymentIntentId}`);
+}
+
+// Add a late settled amount to TOTAL_SPENT and clear the order's pending
+// note in the same update. A retry finds the note gone and changes nothing.
+async function recordSettlementInKeap(accessToken, contact, { paymentId, amountSettled }) {
+  const ORDER_HISTORY = 325;
+  const TOTAL_SPENT = 327;
+
+  const customFields = contact.custom_fields || [];
+  const existingHistory = customFields.find(f => f.id === ORDER_HISTORY)?.content || '';
+  const previousTotal = parseFloat(customFields.find(f => f.id === TOTAL_SPENT)?.content) || 0;
+
+  const settledHistory = clearSettlementPending(existingHistory, paymentId);
+  if (settledHistory === null) {
+    console.log(`Settled amount for ${paymentId} already in TOTAL_SPENT`);
+    return;
+  }
+
+  const response = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contact.id}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        custom_fields: [
+          { id: ORDER_HISTORY, content: settledHistory },
+          { id: TOTAL_SPENT, content: (previousTotal + amountSettled).toFixed(2) }
+        ]
+      })
     }
+  );
+
+  if (!response.ok) {
+    const errorBody = await response.text();
+    throw new Error(`Contact update failed: ${response.status} - ${errorBody}`);
   }
+}
 
-  return { success: true, contactId };
+// ============================================
+// REFUNDS AND DISPUTES
+// ============================================
+
+const REFUND_TAGS = {
+  REFUNDED: 'Destiny Cards - Refunded',
+  PARTIALLY_REFUNDED: 'Destiny Cards - Partially Refunded',
+  DISPUTED: 'Destiny Cards - Disputed',
+  DISPUTE_LOST: 'Destiny Cards - Dispute Lost'
+};
+
+// Tags that no longer apply once an order is fully refunded
+const AWAITING_SHIPMENT_TAGS = [
+  'Destiny Cards - Awaiting Shipment',
+  'Destiny Cards - Pending Book Shipment'
+];
+
+// charge.refunded fires for every refund on the charge, with the running
+// total in amount_refunded. Only the part not yet recorded is applied.
+async function handleChargeRefunded(charge) {
+  const paymentIntentId = charge.payment_intent;
+  if (!paymentIntentId) {
+    console.log('Refunded charge has no payment intent, skipping:', charge.id);
+    return;
+  }
+
+  const stripe = getStripe();
+  const accessToken = getKeapToken();
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  const ledger = paymentIntent.metadata || {};
+
+  const fullRefund = charge.refunded;
+  const recordedCents = parseInt(ledger[LEDGER.REFUNDED_AMOUNT] || '0', 10);
+  const newCents = charge.amount_refunded - recordedCents;
+
+  const contact = await findOrderContact(stripe, accessToken, paymentIntentId, ledger);
+  if (!contact) {
+    console.warn(`No Keap contact for refunded payment ${paymentIntentId}`);
+  }
+
+  if (newCents > 0) {
+    if (contact) {
+      const balanceTransaction = await getChargeBalanceTransaction(stripe, charge.id);
+      await recordReversalInKeap(accessToken, contact, {
+        paymentId: paymentIntentId,
+        currency: charge.currency,
+        amount: newCents / 100,
+        amountSettled: toSettlementAmount(newCents, balanceTransaction) / 100,
+        // The running total tells two partial refunds of the same amount apart
+        note: fullRefund
+          ? 'Refunded (full)'
+          : `Refunded (partial, ${formatMoney(charge.amount_refunded / 100, charge.currency)} so far)`
+      });
+    }
+
+    // A full refund returns the order's units to stock. The refunded amount
+    // only moves on once Keap has the reversal, so one that found no contact
+    // is applied by the next delivery.
+    await updateLedger(stripe, paymentIntentId, {
+      ...(contact ? { [LEDGER.REFUNDED_AMOUNT]: String(charge.amount_refunded) } : {}),
+      [LEDGER.REFUND_STATUS]: fullRefund ? 'full' : 'partial',
+      ...(fullRefund ? { [LEDGER.RESTOCKED]: 'true' } : {})
+    });
+    console.log(`Recorded refund of ${newCents} cents for ${paymentIntentId} (full: ${fullRefund}, in Keap: ${!!contact})`);
+  } else {
+    console.log(`Refund for ${paymentIntentId} already recorded, re-checking tags`);
+  }
+
+  // Tag changes are safe to repeat, so they run on every delivery
+  if (contact) {
+    if (fullRefund) {
+      await applyTagByName(accessToken, contact.id, REFUND_TAGS.REFUNDED);
+      await removeTagByName(accessToken, contact.id, REFUND_TAGS.PARTIALLY_REFUNDED);
+      for (const tagName of AWAITING_SHIPMENT_TAGS) {
+        await removeTagByName(accessToken, contact.id, tagName);
+      }
+    } else {
+      await applyTagByName(accessToken, contact.id, REFUND_TAGS.PARTIALLY_REFUNDED);
+    }
+  }
+}
+
+async function handleDisputeCreated(dispute) {
+  const paymentIntentId = dispute.payment_intent;
+  if (!paymentIntentId) {
+    console.log('Dispute has no payment intent, skipping:', dispute.id);
+    return;
+  }
+
+  const stripe = getStripe();
+  const accessToken = getKeapToken();
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  const ledger = paymentIntent.metadata || {};
+
+  // A late redelivery mustn't reopen a dispute that has already closed
+  if (['won', 'lost'].includes(ledger[LEDGER.DISPUTE_STATUS])) {
+    console.log(`Dispute ${dispute.id} already closed, skipping`);
+    return;
+  }
+
+  await updateLedger(stripe, paymentIntentId, { [LEDGER.DISPUTE_STATUS]: dispute.status });
+
+  const contact = await findOrderContact(stripe, accessToken, paymentIntentId, ledger);
+  if (contact) {
+    await applyTagByName(accessToken, contact.id, REFUND_TAGS.DISPUTED);
+  }
+  console.log(`Dispute ${dispute.id} opened for ${paymentIntentId} (${dispute.reason})`);
+}
+
+// A lost dispute takes the money back like a refund; a won one just clears
+// the Disputed tag.
+async function handleDisputeClosed(dispute) {
+  const paymentIntentId = dispute.payment_intent;
+  if (!paymentIntentId) {
+    console.log('Dispute has no payment intent, skipping:', dispute.id);
+    return;
+  }
+
+  const stripe = getStripe();
+  const accessToken = getKeapToken();
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  const ledger = paymentIntent.metadata || {};
+  const alreadyClosed = ['won', 'lost'].includes(ledger[LEDGER.DISPUTE_STATUS]);
+
+  const contact = await findOrderContact(stripe, accessToken, paymentIntentId, ledger);
+
+  if (!alreadyClosed) {
+    if (dispute.status === 'lost' && contact) {
+      const balanceTransaction = await getChargeBalanceTransaction(stripe, dispute.charge);
+      await recordReversalInKeap(accessToken, contact, {
+        paymentId: paymentIntentId,
+        currency: dispute.currency,
+        amount: dispute.amount / 100,
+        amountSettled: toSettlementAmount(dispute.amount, balanceTransaction) / 100,
+        note: 'Dispute lost'
+      });
+    }
+    await updateLedger(stripe, paymentIntentId, { [LEDGER.DISPUTE_STATUS]: dispute.status });
+  }
+
+  if (contact) {
+    await removeTagByName(accessToken, contact.id, REFUND_TAGS.DISPUTED);
+    if (dispute.status === 'lost') {
+      await applyTagByName(accessToken, contact.id, REFUND_TAGS.DISPUTE_LOST);
+    }
+  }
+  console.log(`Dispute ${dispute.id} closed for ${paymentIntentId}: ${dispute.status}`);
+}
+
+function getKeapToken() {
+  const accessToken = process.env.KEAP_ACCESS_TOKEN;
+  if (!accessToken) {
+    throw new Error('Keap access token not configured');
+  }
+  return accessToken;
+}
+
+// Keap contact for an order, with custom fields. Uses the contact ID the
+// checkout ledger recorded, falling back to the buyer's email.
+async function findOrderContact(stripe, accessToken, paymentIntentId, ledger) {
+  let email = null;
+
+  if (!ledger[LEDGER.CONTACT_ID]) {
+    const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+    email = sessions.data[0]?.customer_details?.email;
+    if (!email) {
+      return null;
+    }
+  }
+
+  const url = ledger[LEDGER.CONTACT_ID]
+    ? `https://api.infusionsoft.com/crm/rest/v1/contacts/${ledger[LEDGER.CONTACT_ID]}?optional_properties=custom_fields`
+    : `https://api.infusionsoft.com/crm/rest/v1/contacts?email=${encodeURIComponent(email)}&optional_properties=custom_fields`;
+
+  const response = await fetch(url, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Contact lookup failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return ledger[LEDGER.CONTACT_ID] ? data : (data.contacts?.[0] || null);
+}
+
+// The charge's balance transaction, so refunds and lost disputes are taken
+// off TOTAL_SPENT at the rate the order settled at
+async function getChargeBalanceTransaction(stripe, chargeId) {
+  const charge = await stripe.charges.retrieve(chargeId, { expand: ['balance_transaction'] });
+  return charge.balance_transaction;
+}
+
+// Subtract a refund or lost dispute from TOTAL_SPENT and note it in ORDER_HISTORY.
+// `amount` is in the order's currency, `amountSettled` in the settlement currency.
+// The ledger is only updated after this, so a retry may get here again; the
+// entry already being in ORDER_HISTORY means it was applied.
+async function recordReversalInKeap(accessToken, contact, { paymentId, currency, amount, amountSettled, note }) {
+  const ORDER_HISTORY = 325;
+  const TOTAL_SPENT = 327;
+
+  const customFields = contact.custom_fields || [];
+  const existingHistory = customFields.find(f => f.id === ORDER_HISTORY)?.content || '';
+  const previousTotal = parseFloat(customFields.find(f => f.id === TOTAL_SPENT)?.content) || 0;
+
+  const dateFormatted = new Date().toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  const reversal = `${note} (-${formatMoney(amount, currency)}) [${paymentId}]`;
+  if (existingHistory.includes(reversal)) {
+    console.log(`Reversal for ${paymentId} already in ORDER_HISTORY, keeping existing totals`);
+    return;
+  }
+  const entry = `${dateFormatted}: ${reversal}`;
+
+  const response = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contact.id}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        custom_fields: [
+          { id: ORDER_HISTORY, content: existingHistory ? `${entry}\n---\n${existingHistory}` : entry },
+          { id: TOTAL_SPENT, content: Math.max(0, previousTotal - amountSettled).toFixed(2) }
+        ]
+      })
+    }
+  );
+
+  if (!response.ok) {
+    const errorBody = await response.text();
+    throw new Error(`Contact update failed: ${response.status} - ${errorBody}`);
+  }
+}
+
+async function applyTagByName(accessToken, contactId, tagName) {
+  const tagId = await getOrCreateTag(accessToken, tagName);
+  await applyTagToContact(accessToken, contactId, tagId);
+}
+
+async function removeTagByName(accessToken, contactId, tagName) {
+  const tagId = await getTagId(accessToken, tagName);
+  if (tagId) {
+    await removeTagFromContact(accessToken, contactId, tagId);
+  }
 }
 
 async function getOrCreateTag(accessToken, tagName) {
@@ -436,3 +1095,34 @@ async function applyTagToContact(accessToken, contactId, tagId) {
     throw new Error(`Tag application failed: ${response.status}`);
   }
 }
+
+async function getTagId(accessToken, tagName) {
+  const searchResponse = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/tags?name=${encodeURIComponent(tagName)}`,
+    {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    }
+  );
+
+  if (!searchResponse.ok) return null;
+
+  const searchData = await searchResponse.json();
+  return searchData.tags?.[0]?.id || null;
+}
+
+async function removeTagFromContact(accessToken, contactId, tagId) {
+  const response = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts/${contactId}/tags/${tagId}`,
+    {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      }
+    }
+  );
+
+  // 404 is ok - tag wasn't applied
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Tag removal failed: ${response.status}`);
+  }
+}
@@ -0,0 +1,182 @@
+// netlify/functions/tax-report.js
+// Tax collected per jurisdiction and period, for filing returns. One row per
+// period, jurisdiction, tax rate and currency.
+//
+// Query parameters:
+//   period   - month (default) | quarter | year
+//   from, to - order date range, YYYY-MM-DD (UTC, inclusive)
+//   format   - csv (default) | json
+//
+// Refunds take back their share of an order's tax: a refund of half the
+// order total counts half its tax as refunded.
+
+const Stripe = require('stripe');
+const { requireRole } = require('./utils/auth');
+const { listOrders, parseDateRange } = require('./utils/orders');
+const { toCsv } = require('./utils/csv');
+const { recordAudit } = require('./utils/audit');
+
+// Upper bound on orders read, in Stripe list calls of 100
+const MAX_REPORT_PAGES = 20;
+
+const PERIODS = {
+  month: date => date.toISOString().slice(0, 7),
+  quarter: date => `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`,
+  year: date => String(date.getUTCFullYear())
+};
+
+const FORMATS = ['csv', 'json'];
+
+const COLUMNS = {
+  'Period': r => r.period,
+  'Country': r => r.country,
+  'State/Region': r => r.state,
+  'Jurisdiction': r => r.jurisdiction,
+  'Tax': r => r.name,
+  'Rate %': r => r.percentage,
+  'Currency': r => r.currency.toUpperCase(),
+  'Orders': r => r.orders,
+  'Taxable Sales': r => r.taxableAmount === null ? '' : r.taxableAmount.toFixed(2),
+  'Tax Collected': r => r.taxCollected.toFixed(2),
+  'Tax Refunded': r => r.taxRefunded.toFixed(2),
+  'Net Tax': r => (r.taxCollected - r.taxRefunded).toFixed(2)
+};
+
+function getStripe() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+  return new Stripe(secretKey);
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Content-Disposition',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  // Auth check
+  const auth = requireRole(event, 'owner');
+  if (auth.error) {
+    return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error }) };
+  }
+
+  const params = event.queryStringParameters || {};
+  const period = params.period || 'month';
+  const format = params.format || 'csv';
+
+  if (!PERIODS[period]) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: `period must be one of: ${Object.keys(PERIODS).join(', ')}` }) };
+  }
+  if (!FORMATS.includes(format)) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: `format must be one of: ${FORMATS.join(', ')}` }) };
+  }
+
+  const created = parseDateRange(params.from, params.to);
+  if (created && created.error) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: created.error }) };
+  }
+
+  try {
+    const stripe = getStripe();
+    const orders = await listOrders(stripe, { created, maxPages: MAX_REPORT_PAGES });
+    const rows = summarizeTax(orders, PERIODS[period]);
+
+    console.log(`Tax report: ${rows.length} rows from ${orders.length} orders`);
+    await recordAudit(event, auth.user, 'tax-report.download', {
+      details: { period, format, from: params.from || null, to: params.to || null, orders: orders.length }
+    });
+
+    if (format === 'json') {
+      return { statusCode: 200, headers, body: JSON.stringify({ period, rows }) };
+    }
+
+    const filename = `tax-report-${period}-${params.from || 'start'}-to-${params.to || new Date().toISOString().split('T')[0]}.csv`;
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      },
+      body: toCsv(COLUMNS, rows)
+    };
+
+  } catch (error) {
+    console.error('Tax report error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Tax lines of every order added up by period, jurisdiction, rate and
+// currency, oldest period first
+function summarizeTax(orders, periodOf) {
+  const groups = new Map();
+
+  for (const order of orders) {
+    if (!order.tax) continue;
+
+    // Orders listed without a breakdown still count, under an unknown jurisdiction
+    const lines = order.tax.lines.length > 0
+      ? order.tax.lines
+      : [{ country: null, state: null, jurisdiction: null, name: 'Tax', percentage: null, taxableAmount: null, amount: order.tax.amount }];
+    const refundedShare = order.refund && order.amountTotal > 0
+      ? Math.min(1, order.refund.amountRefunded / order.amountTotal)
+      : 0;
+    const period = periodOf(new Date(order.created * 1000));
+
+    for (const line of lines) {
+      const key = [period, line.country, line.state, line.jurisdiction, line.name, line.percentage, order.currency].join('|');
+      let row = groups.get(key);
+      if (!row) {
+        row = {
+          period,
+          country: line.country || 'Unknown',
+          state: line.state || '',
+          jurisdiction: line.jurisdiction || '',
+          name: line.name,
+          percentage: line.percentage,
+          currency: order.currency,
+          orders: 0,
+          taxableAmount: 0,
+          taxCollected: 0,
+          taxRefunded: 0
+        };
+        groups.set(key, row);
+      }
+
+      row.orders++;
+      row.taxableAmount = row.taxableAmount === null || line.taxableAmount === null
+        ? null
+        : roundCents(row.taxableAmount + line.taxableAmount);
+      row.taxCollected = roundCents(row.taxCollected + line.amount);
+      row.taxRefunded = roundCents(row.taxRefunded + line.amount * refundedShare);
+    }
+  }
+
+  return [...groups.values()].sort((a, b) =>
+    a.period.localeCompare(b.period) ||
+    a.country.localeCompare(b.country) ||
+    a.state.localeCompare(b.state) ||
+    a.currency.localeCompare(b.currency)
+  );
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
@@ -1,5 +1,22 @@
 // netlify/functions/update-tracking.js
-// Updates tracking numbers in Keap and triggers shipping notification
+// Records a shipment on its order and updates Keap, which triggers the
+// shipping notification. Accepts a single shipment, or a small batch from
+// the admin CSV import. The carrier is detected from the tracking number
+// unless one is given. Each shipment recorded goes in the audit log.
+
+const Stripe = require('stripe');
+const { requireRole } = require('./utils/auth');
+const { resolveTracking } = require('./utils/carriers');
+const { findOrder, orderMetadata, readFulfillment, recordShipment } = require('./utils/fulfillment');
+const { recordAudit } = require('./utils/audit');
+
+function getStripe() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+  return new Stripe(secretKey);
+}
 
 exports.handler = async (event, context) => {
   // Handle CORS
@@ -19,48 +36,41 @@ exports.handler = async (event, context) => {
     return { statusCode: 405, body: 'Method not allowed' };
   }
 
-  // Simple auth check - use a secret key
-  const authHeader = event.headers['authorization'];
-  const adminKey = process.env.ADMIN_API_KEY;
-
-  if (!adminKey || authHeader !== `Bearer ${adminKey}`) {
-    return {
-      statusCode: 401,
-      headers: { 'Access-Control-Allow-Origin': '*' },
-      body: JSON.stringify({ error: 'Unauthorized' })
-    };
+  // Auth check
+  const auth = requireRole(event, 'shipper');
+  if (auth.error) {
+    return { statusCode: auth.statusCode, headers: { 'Access-Control-Allow-Origin': '*' }, body: JSON.stringify({ error: auth.error }) };
   }
 
   try {
-    const { email, trackingNumber, shipmentType } = JSON.parse(event.body);
+    const body = JSON.parse(event.body);
+    const stripe = getStripe();
 
-    if (!email || !trackingNumber || !shipmentType) {
-      return {
-        statusCode: 400,
-        headers: { 'Access-Control-Allow-Origin': '*' },
-        body: JSON.stringify({
-          error: 'Missing required fields: email, trackingNumber, shipmentType (cards or book)'
-        })
-      };
+    // Tag IDs are looked up once per request
+    tagIdCache.clear();
+
+    // Batch mode, used by the admin CSV import:
+    // { shipments: [{ orderId, trackingNumber, shipmentType, carrier }, ...] }
+    if (Array.isArray(body.shipments)) {
+      return await handleBatch(stripe, body.shipments, event, auth.user);
     }
 
-    if (!['cards', 'book'].includes(shipmentType)) {
+    const { statusCode, ...result } = await processShipment(stripe, body, event, auth.user);
+
+    if (!result.success) {
       return {
-        statusCode: 400,
+        statusCode,
         headers: { 'Access-Control-Allow-Origin': '*' },
-        body: JSON.stringify({ error: 'shipmentType must be "cards" or "book"' })
+        body: JSON.stringify(result)
       };
     }
 
-    const result = await updateTrackingInKeap(email, trackingNumber, shipmentType);
-
     return {
       statusCode: 200,
       headers: { 'Access-Control-Allow-Origin': '*' },
       body: JSON.stringify({
-        success: true,
-        message: `Tracking number updated for ${email}`,
-        contactId: result.contactId
+        ...result,
+        message: `Tracking number updated for ${result.email}`
       })
     };
 
@@ -74,7 +84,172 @@ exports.handler = async (event, context) => {
   }
 };
 
-async function updateTrackingInKeap(email, trackingNumber, shipmentType) {
+// Largest batch accepted per request. The admin import sends its rows in
+// chunks of this size so each request finishes within the function timeout.
+const MAX_BATCH_SIZE = 5;
+
+// Pause between batch rows to stay under Keap's request rate limit
+const BATCH_ROW_DELAY_MS = 250;
+
+const KEAP_MAX_RETRIES = 3;
+
+// Tag name -> ID, cleared at the start of each request
+const tagIdCache = new Map();
+
+function validateShipment({ orderId, trackingNumber, shipmentType }) {
+  if (!orderId || !trackingNumber || !shipmentType) {
+    return 'Missing required fields: orderId, trackingNumber, shipmentType (cards or book)';
+  }
+
+  if (!['cards', 'book'].includes(shipmentType)) {
+    return 'shipmentType must be "cards" or "book"';
+  }
+
+  return null;
+}
+
+// Record one shipment on its order, then update the customer's Keap
+// contact, and log it as done by `user`. Returns a result with an HTTP
+// status for failures; never throws.
+async function processShipment(stripe, shipment, event, user) {
+  const validationError = validateShipment(shipment);
+  const tracking = validationError ? null : resolveTracking(shipment.trackingNumber, shipment.carrier);
+
+  if (validationError || tracking.error) {
+    return { success: false, statusCode: 400, error: validationError || tracking.error };
+  }
+
+  const { orderId, shipmentType } = shipment;
+  let order;
+  let previous;
+  let fulfillment;
+
+  try {
+    order = await findOrder(stripe, orderId);
+
+    if (!order || order.status !== 'complete') {
+      return { success: false, statusCode: 404, error: `No completed order with ID ${orderId}` };
+    }
+
+    if (shipmentType === 'book' && order.metadata?.hasPreOrder !== 'true') {
+      return { success: false, statusCode: 400, error: 'This order has no book to ship' };
+    }
+
+    // The order's own record is the source of truth for the admin
+    previous = readFulfillment(orderMetadata(order))[shipmentType];
+    fulfillment = await recordShipment(stripe, order, shipmentType, tracking);
+  } catch (error) {
+    console.error(`Failed to record shipment for ${orderId}:`, error);
+    return { success: false, statusCode: 500, error: error.message };
+  }
+
+  const email = order.customer_details?.email;
+  const details = {
+    orderId: order.id,
+    email,
+    carrier: tracking.carrierName,
+    trackingNumber: tracking.trackingNumber,
+    trackingUrl: tracking.trackingUrl,
+    fulfillment
+  };
+
+  const audit = {
+    orderId: order.id,
+    email,
+    before: shipmentRecord(previous),
+    after: shipmentRecord(fulfillment[shipmentType])
+  };
+
+  // Keap keeps the latest shipment per contact, for the notification emails
+  try {
+    const { contactId } = await updateTrackingInKeap(email, tracking, shipmentType);
+    await recordAudit(event, user, 'shipment.record', { ...audit, contactId, details: { shipmentType, keapUpdated: true } });
+    return { success: true, ...details, contactId };
+  } catch (error) {
+    console.error(`Keap tracking update failed for ${orderId}:`, error);
+    await recordAudit(event, user, 'shipment.record', { ...audit, details: { shipmentType, keapUpdated: false, keapError: error.message } });
+    return {
+      success: false,
+      statusCode: 502,
+      saved: true,
+      ...details,
+      error: `Tracking saved on the order, but the Keap update failed: ${error.message}`
+    };
+  }
+}
+
+// A shipment as the audit log keeps it
+function shipmentRecord(shipment) {
+  return shipment
+    ? { trackingNumber: shipment.trackingNumber, carrier: shipment.carrier, shippedAt: shipment.shippedAt }
+    : null;
+}
+
+// Process each shipment in turn and report the outcome per row. One row
+// failing doesn't stop the rest.
+async function handleBatch(stripe, shipments, event, user) {
+  if (shipments.length === 0 || shipments.length > MAX_BATCH_SIZE) {
+    return {
+      statusCode: 400,
+      headers: { 'Access-Control-Allow-Origin': '*' },
+      body: JSON.stringify({ error: `Send between 1 and ${MAX_BATCH_SIZE} shipments per request` })
+    };
+  }
+
+  const results = [];
+
+  for (let i = 0; i < shipments.length; i++) {
+    const shipment = shipments[i] || {};
+
+    if (i > 0) {
+      await sleep(BATCH_ROW_DELAY_MS);
+    }
+
+    const { statusCode, ...result } = await processShipment(stripe, shipment, event, user);
+    results.push({
+      index: i,
+      orderId: shipment.orderId || null,
+      shipmentType: shipment.shipmentType || null,
+      trackingNumber: shipment.trackingNumber || null,
+      ...result
+    });
+  }
+
+  const succeeded = results.filter(r => r.success).length;
+
+  return {
+    statusCode: 200,
+    headers: { 'Access-Control-Allow-Origin': '*' },
+    body: JSON.stringify({
+      success: succeeded === results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    })
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// fetch for Keap calls. Keap answers 429 when we go over its rate limit;
+// wait as long as it asks (or back off) and try again.
+async function keapFetch(url, options, attempt = 0) {
+  const response = await fetch(url, options);
+
+  if (response.status === 429 && attempt < KEAP_MAX_RETRIES) {
+    const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+    const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : 1000 * 2 ** attempt;
+    await sleep(Math.min(delay, 5000));
+    return keapFetch(url, options, attempt + 1);
+  }
+
+  return response;
+}
+
+// `tracking` comes from resolveTracking: { trackingNumber, carrierName, trackingUrl }
+async function updateTrackingInKeap(email, tracking, shipmentType) {
   const accessToken = process.env.KEAP_ACCESS_TOKEN;
 
   if (!accessToken) {
@@ -86,11 +261,15 @@ async function updateTrackingInKeap(email, trackingNumber, shipmentType) {
     CARDS_TRACKING_NUMBER: 315,
     CARDS_SHIPPED_DATE: 317,
     BOOK_TRACKING_NUMBER: 319,
-    BOOK_SHIPPED_DATE: 321
+    BOOK_SHIPPED_DATE: 321,
+    CARDS_TRACKING_URL: 329,
+    CARDS_CARRIER: 331,
+    BOOK_TRACKING_URL: 333,
+    BOOK_CARRIER: 335
   };
 
   // Find contact by email
-  const searchResponse = await fetch(
+  const searchResponse = await keapFetch(
     `https://api.infusionsoft.com/crm/rest/v1/contacts?email=${encodeURIComponent(email)}`,
     {
       headers: {
@@ -116,16 +295,20 @@ async function updateTrackingInKeap(email, trackingNumber, shipmentType) {
   // Determine which fields to update based on shipment type
   const customFields = shipmentType === 'cards'
     ? [
-        { id: CUSTOM_FIELDS.CARDS_TRACKING_NUMBER, content: trackingNumber },
-        { id: CUSTOM_FIELDS.CARDS_SHIPPED_DATE, content: today }
+        { id: CUSTOM_FIELDS.CARDS_TRACKING_NUMBER, content: tracking.trackingNumber },
+        { id: CUSTOM_FIELDS.CARDS_SHIPPED_DATE, content: today },
+        { id: CUSTOM_FIELDS.CARDS_TRACKING_URL, content: tracking.trackingUrl },
+        { id: CUSTOM_FIELDS.CARDS_CARRIER, content: tracking.carrierName }
       ]
     : [
-        { id: CUSTOM_FIELDS.BOOK_TRACKING_NUMBER, content: trackingNumber },
-        { id: CUSTOM_FIELDS.BOOK_SHIPPED_DATE, content: today }
+        { id: CUSTOM_FIELDS.BOOK_TRACKING_NUMBER, content: tracking.trackingNumber },
+        { id: CUSTOM_FIELDS.BOOK_SHIPPED_DATE, content: today },
+        { id: CUSTOM_FIELDS.BOOK_TRACKING_URL, content: tracking.trackingUrl },
+        { id: CUSTOM_FIELDS.BOOK_CARRIER, content: tracking.carrierName }
       ];
 
   // Update contact with tracking info
-  const updateResponse = await fetch(
+  const updateResponse = await keapFetch(
     `https://api.infusionsoft.com/crm/rest/v1/contacts/${contactId}`,
     {
       method: 'PATCH',
@@ -172,7 +355,11 @@ async function updateTrackingInKeap(email, trackingNumber, shipmentType) {
 }
 
 async function getOrCreateTag(accessToken, tagName) {
-  const searchResponse = await fetch(
+  if (tagIdCache.has(tagName)) {
+    return tagIdCache.get(tagName);
+  }
+
+  const searchResponse = await keapFetch(
     `https://api.infusionsoft.com/crm/rest/v1/tags?name=${encodeURIComponent(tagName)}`,
     {
       headers: { 'Authorization': `Bearer ${accessToken}` }
@@ -186,11 +373,12 @@ async function getOrCreateTag(accessToken, tagName) {
   const searchData = await searchResponse.json();
 
   if (searchData.tags && searchData.tags.length > 0) {
+    tagIdCache.set(tagName, searchData.tags[0].id);
     return searchData.tags[0].id;
   }
 
   // Create new tag
-  const createResponse = await fetch(
+  const createResponse = await keapFetch(
     'https://api.infusionsoft.com/crm/rest/v1/tags',
     {
       method: 'POST',
@@ -210,11 +398,16 @@ async function getOrCreateTag(accessToken, tagName) {
   }
 
   const newTag = await createResponse.json();
+  tagIdCache.set(tagName, newTag.id);
   return newTag.id;
 }
 
 async function getTagId(accessToken, tagName) {
-  const searchResponse = await fetch(
+  if (tagIdCache.has(tagName)) {
+    return tagIdCache.get(tagName);
+  }
+
+  const searchResponse = await keapFetch(
     `https://api.infusionsoft.com/crm/rest/v1/tags?name=${encodeURIComponent(tagName)}`,
     {
       headers: { 'Authorization': `Bearer ${accessToken}` }
@@ -224,11 +417,15 @@ async function getTagId(accessToken, tagName) {
   if (!searchResponse.ok) return null;
 
   const searchData = await searchResponse.json();
-  return searchData.tags?.[0]?.id || null;
+  const tagId = searchData.tags?.[0]?.id || null;
+  if (tagId) {
+    tagIdCache.set(tagName, tagId);
+  }
+  return tagId;
 }
 
 async function applyTagToContact(accessToken, contactId, tagId) {
-  const response = await fetch(
+  const response = await keapFetch(
     `https://api.infusionsoft.com/crm/rest/v1/contacts/${contactId}/tags`,
     {
       method: 'POST',
@@ -246,7 +443,7 @@ async function applyTagToContact(accessToken, contactId, tagId) {
 }
 
 async function removeTagFromContact(accessToken, contactId, tagId) {
-  const response = await fetch(
+  const response = await keapFetch(
     `https://api.infusionsoft.com/crm/rest/v1/contacts/${contactId}/tags/${tagId}`,
     {
       method: 'DELETE',
@@ -0,0 +1,201 @@
+// netlify/functions/utils/audit.js
+// Audit log of admin actions, kept in Netlify Blobs (store "audit-log"). Each
+// entry is its own blob, keyed by day and time so keys sort oldest first:
+//   2026-03-14/2026-03-14T16:05:09.123Z-3f9a1c
+// holding who did what, when, to which order or contact, and the values
+// before and after for anything that changed:
+//   { id, at, user, role, action, orderId, contactId, email, before, after, details }
+//
+// Listing orders and reading the log itself aren't recorded. Failed sign-ins
+// are rolled up into one entry per hour (see recordFailedSignIn).
+
+const crypto = require('crypto');
+const { connectLambda, getStore } = require('@netlify/blobs');
+
+const STORE_NAME = 'audit-log';
+
+// Every action recorded, with its label in the admin Activity tab
+const AUDIT_ACTIONS = {
+  'admin.sign-in': 'Signed in',
+  'admin.sign-in-failed': 'Failed sign-in',
+  'order.view': 'Viewed order',
+  'shipment.record': 'Recorded shipment',
+  'book.release': 'Released book',
+  'orders.export': 'Exported orders',
+  'packing-slips.print': 'Printed packing slips',
+  'tax-report.download': 'Downloaded tax report',
+  'keap.backfill': 'Ran Keap backfill',
+  'keap.reconcile': 'Reconciled Keap'
+};
+
+// Default and longest date range listed, in days
+const DEFAULT_LIST_DAYS = 30;
+const MAX_LIST_DAYS = 366;
+
+// Entries read per request when filtering, and how many at a time
+const MAX_ENTRIES_SCANNED = 500;
+const READ_BATCH_SIZE = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Usernames kept on an hour's failed sign-in entry; attempts counts them all
+const MAX_FAILED_SIGN_IN_USERNAMES = 20;
+
+function getAuditStore(event) {
+  // Functions in the Lambda format get their Blobs credentials on the event
+  if (event.blobs) {
+    connectLambda(event);
+  }
+  return getStore(STORE_NAME);
+}
+
+// Append an entry for `action` by `user` ({ username, role } from
+// requireRole, or null). Never throws: the action it records has already
+// happened, so a failed write is logged with the entry instead.
+async function recordAudit(event, user, action, { orderId, contactId, email, before, after, details } = {}) {
+  const at = new Date().toISOString();
+  const entry = {
+    id: `${at.slice(0, 10)}/${at}-${crypto.randomBytes(3).toString('hex')}`,
+    at,
+    user: user ? user.username : null,
+    role: user ? user.role : null,
+    action,
+    orderId: orderId || null,
+    contactId: contactId || null,
+    email: email || null,
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after,
+    details: details || null
+  };
+
+  try {
+    await getAuditStore(event).setJSON(entry.id, entry);
+  } catch (error) {
+    console.error('Audit log write failed:', error.message, JSON.stringify(entry));
+  }
+  return entry;
+}
+
+// Count a failed sign-in on the current hour's 'admin.sign-in-failed' entry.
+// Anyone can reach the sign-in endpoint, so attempts are rolled up rather
+// than each getting a blob of their own. Never throws, as recordAudit.
+async function recordFailedSignIn(event, username) {
+  const at = new Date().toISOString();
+  const hour = `${at.slice(0, 13)}:00:00.000Z`;
+  const id = `${at.slice(0, 10)}/${hour}-sign-in-failed`;
+
+  try {
+    const store = getAuditStore(event);
+    const previous = await store.get(id, { type: 'json' });
+    const usernames = previous?.details?.usernames || [];
+    if (!usernames.includes(username) && usernames.length < MAX_FAILED_SIGN_IN_USERNAMES) {
+      usernames.push(username);
+    }
+
+    await store.setJSON(id, {
+      id,
+      at: hour,
+      user: null,
+      role: null,
+      action: 'admin.sign-in-failed',
+      orderId: null,
+      contactId: null,
+      email: null,
+      before: null,
+      after: null,
+      details: { attempts: (previous?.details?.attempts || 0) + 1, usernames, lastAt: at }
+    });
+  } catch (error) {
+    console.error('Audit log write failed:', error.message, `failed sign-in for "${username}"`);
+  }
+}
+
+// Whether an entry matches the list filters. `q` matches the order, contact
+// or email, or any value before or after, e.g. a tracking number.
+function matchesFilters(entry, { user, action, q }) {
+  if (user && (entry.user || '').toLowerCase() !== user.toLowerCase()) return false;
+  if (action && entry.action !== action) return false;
+  if (q) {
+    const text = JSON.stringify([entry.orderId, entry.contactId, entry.email, entry.before, entry.after]);
+    if (!text.toLowerCase().includes(q.toLowerCase())) return false;
+  }
+  return true;
+}
+
+// Query parameters -> list options, or { error }
+function parseAuditQuery(params) {
+  const today = new Date().toISOString().split('T')[0];
+  const to = params.to || today;
+  const from = params.from || new Date(Date.parse(to) - (DEFAULT_LIST_DAYS - 1) * DAY_MS).toISOString().split('T')[0];
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+      return { error: `${name} must be a date (YYYY-MM-DD)` };
+    }
+  }
+  if (from > to) {
+    return { error: 'from must be on or before to' };
+  }
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS >= MAX_LIST_DAYS) {
+    return { error: `Date range can be at most ${MAX_LIST_DAYS} days` };
+  }
+  if (params.action && !AUDIT_ACTIONS[params.action]) {
+    return { error: `action must be one of: ${Object.keys(AUDIT_ACTIONS).join(', ')}` };
+  }
+
+  return {
+    from,
+    to,
+    user: params.user || null,
+    action: params.action || null,
+    q: (params.q || '').trim() || null,
+    limit: Math.min(Math.max(parseInt(params.limit, 10) || 50, 1), 100),
+    cursor: params.cursor || null
+  };
+}
+
+// Entries from `to` back to `from`, newest first, up to `limit` matching the
+// filters. nextCursor is set when there may be more: pass it back as
+// `cursor` to continue after the last entry read.
+async function listAuditEntries(event, { from, to, user, action, q, limit, cursor }) {
+  const store = getAuditStore(event);
+  const entries = [];
+  let scanned = 0;
+  let lastKey = null;
+
+  for (let day = to; day >= from; day = new Date(Date.parse(day) - DAY_MS).toISOString().split('T')[0]) {
+    if (cursor && day > cursor.slice(0, 10)) continue;
+
+    const { blobs } = await store.list({ prefix: `${day}/` });
+    const keys = blobs.map(blob => blob.key)
+      .filter(key => !cursor || key < cursor)
+      .sort()
+      .reverse();
+
+    for (let i = 0; i < keys.length; i += READ_BATCH_SIZE) {
+      const batch = keys.slice(i, i + READ_BATCH_SIZE);
+      const found = await Promise.all(batch.map(key => store.get(key, { type: 'json' })));
+
+      for (let j = 0; j < batch.length; j++) {
+        lastKey = batch[j];
+        scanned++;
+        if (found[j] && matchesFilters(found[j], { user, action, q })) {
+          entries.push(found[j]);
+        }
+        if (entries.length >= limit || scanned >= MAX_ENTRIES_SCANNED) {
+          return { entries, scanned, nextCursor: lastKey };
+        }
+      }
+    }
+  }
+
+  return { entries, scanned, nextCursor: null };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit,
+  recordFailedSignIn,
+  parseAuditQuery,
+  listAuditEntries
+};
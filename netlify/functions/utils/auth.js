@@ -0,0 +1,133 @@
+// netlify/functions/utils/auth.js
+// Admin accounts and role checks, shared by every admin function.
+//
+// Users are configured in ADMIN_USERS as JSON:
+//   [{ "username": "sam", "role": "shipper", "passwordHash": "scrypt$..." }]
+// Hash a password with:
+//   node netlify/functions/utils/auth.js hash 'the password'
+//
+// Roles, each allowed everything the ones before it are:
+//   viewer  - see orders and stock
+//   shipper - record shipments, export labels, print packing slips
+//   owner   - Keap backfill, tax reports and anything else touching money
+//
+// admin-login issues a signed session token (utils/tokens) naming the user.
+// Each request looks the user up in ADMIN_USERS again, so removing someone,
+// changing their role or resetting their password applies straight away.
+
+const crypto = require('crypto');
+const { issueToken, verifyToken } = require('./tokens');
+
+const ROLES = ['viewer', 'shipper', 'owner'];
+
+const SESSION_PURPOSE = 'admin-session';
+const DEFAULT_SESSION_HOURS = 8;
+
+const SCRYPT_KEY_LENGTH = 32;
+
+// Checked against when the username is unknown, so a wrong username takes
+// as long as a wrong password
+const DUMMY_HASH = `scrypt$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(SCRYPT_KEY_LENGTH).toString('base64')}`;
+
+function getAdminUsers() {
+  let users;
+  try {
+    users = JSON.parse(process.env.ADMIN_USERS || '[]');
+  } catch (e) {
+    throw new Error('ADMIN_USERS is not valid JSON');
+  }
+  if (!Array.isArray(users)) {
+    throw new Error('ADMIN_USERS must be a JSON array');
+  }
+  return users.filter(user => user && user.username && ROLES.includes(user.role) && user.passwordHash);
+}
+
+function findUser(username) {
+  const name = String(username || '').trim().toLowerCase();
+  return getAdminUsers().find(user => user.username.toLowerCase() === name) || null;
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Changes whenever the user's password does, ending their old sessions
+function passwordVersion(user) {
+  return crypto.createHash('sha256').update(user.passwordHash).digest('hex').slice(0, 12);
+}
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Check a username and password. Returns { token, expiresAt, user } or null.
+function signIn(username, password) {
+  const user = findUser(username);
+  const valid = verifyPassword(password || '', user ? user.passwordHash : DUMMY_HASH);
+  if (!user || !valid) {
+    return null;
+  }
+
+  const hours = parseFloat(process.env.ADMIN_SESSION_HOURS) || DEFAULT_SESSION_HOURS;
+  const ttlSeconds = Math.round(hours * 3600);
+  const token = issueToken(SESSION_PURPOSE, { sub: user.username, pwv: passwordVersion(user) }, ttlSeconds);
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+    user: { username: user.username, role: user.role }
+  };
+}
+
+// The signed-in user, if they have at least `role`. Returns { user } or
+// { statusCode, error } for the caller to send back.
+function requireRole(event, role) {
+  const authHeader = event.headers['authorization'] || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  let claims;
+  let user;
+  try {
+    claims = token ? verifyToken(token, SESSION_PURPOSE) : null;
+    user = claims ? findUser(claims.sub) : null;
+  } catch (error) {
+    console.error('Admin auth configuration error:', error.message);
+    return { statusCode: 500, error: `Server configuration error: ${error.message}` };
+  }
+
+  if (!user || claims.pwv !== passwordVersion(user)) {
+    return { statusCode: 401, error: 'Please sign in again' };
+  }
+  if (!hasRole(user, role)) {
+    return { statusCode: 403, error: `This needs the ${role} role` };
+  }
+
+  return { user: { username: user.username, role: user.role } };
+}
+
+module.exports = {
+  signIn,
+  requireRole
+};
+
+// Print a password hash for ADMIN_USERS
+if (require.main === module) {
+  const [command, password] = process.argv.slice(2);
+  if (command !== 'hash' || !password) {
+    console.error('Usage: node netlify/functions/utils/auth.js hash <password>');
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
@@ -0,0 +1,138 @@
+// netlify/functions/utils/backfill-jobs.js
+// Keap backfill jobs, kept in Netlify Blobs (store "backfill-jobs"). One job
+// exists at a time, in the blob "current":
+//   { id, status, dryRun, limit, createdBy, createdAt, startedAt, updatedAt,
+//     finishedAt, runId, total, cursor, processed, synced, skipped, failed,
+//     results: [{ sessionId, email, status, reason, error }], message }
+//
+// backfill-status starts, resumes and cancels jobs and reports progress;
+// backfill-keap-background does the work, saving the job after every order
+// with `cursor` set to the last session done, so a run that stops part way
+// resumes after it.
+//
+// The store is read with strong consistency, and every save is conditional
+// on the ETag of the job as it was read (see saveJob). A run therefore finds
+// out on its next save if the job was resumed, cancelled or replaced under
+// it, and two runs can't both claim the same job.
+//
+// `results` keeps the last MAX_RECENT_RESULTS rows and every error row (up
+// to MAX_ERROR_RESULTS); the counters cover the rest.
+//
+// status is queued (waiting for backfill-keap-background to pick it up),
+// running, completed, cancelled, failed, or interrupted: stopped part way,
+// at the function time limit or because the run died, and can be resumed.
+
+const crypto = require('crypto');
+const { connectLambda, getStore } = require('@netlify/blobs');
+
+const STORE_NAME = 'backfill-jobs';
+const CURRENT_KEY = 'current';
+
+const MAX_RECENT_RESULTS = 50;
+const MAX_ERROR_RESULTS = 200;
+
+// A queued or running job that hasn't saved progress for this long has
+// stopped without saying so, e.g. the function was killed at its time limit
+const STALLED_AFTER_MS = 2 * 60 * 1000;
+
+function getJobStore(event) {
+  // Functions in the Lambda format get their Blobs credentials on the event
+  if (event.blobs) {
+    connectLambda(event);
+  }
+  // Claiming and cancelling rely on reading back what was just written
+  return getStore({ name: STORE_NAME, consistency: 'strong' });
+}
+
+// { job, etag } for the current job; job and etag are null if none has
+// run yet. A job that stalled is reported as interrupted.
+async function readJob(event) {
+  const entry = await getJobStore(event).getWithMetadata(CURRENT_KEY, { type: 'json' });
+  if (!entry) {
+    return { job: null, etag: null };
+  }
+
+  const job = entry.data;
+  if (isActive(job) && Date.now() - Date.parse(job.updatedAt) > STALLED_AFTER_MS) {
+    return {
+      job: { ...job, status: 'interrupted', message: job.message || 'The backfill stopped responding. Resume to continue.' },
+      etag: entry.etag
+    };
+  }
+  return { job, etag: entry.etag };
+}
+
+// Save `job` if the stored job is still the one read with `etag` (null: if
+// there is no job yet). Returns the new ETag, or null if the job changed
+// in the meantime and nothing was saved.
+async function saveJob(event, job, etag) {
+  job.updatedAt = new Date().toISOString();
+  const result = await getJobStore(event).setJSON(CURRENT_KEY, job, etag ? { onlyIfMatch: etag } : { onlyIfNew: true });
+  return result.modified ? result.etag : null;
+}
+
+// Count one order's result row and keep it in `results` for the admin
+function recordResult(job, row) {
+  job.processed++;
+  if (row.status === 'skipped') job.skipped++;
+  else if (row.status === 'error') job.failed++;
+  else job.synced++;
+
+  job.results.push(row);
+
+  const recent = job.results.filter(result => result.status !== 'error');
+  const errors = job.results.filter(result => result.status === 'error');
+  if (recent.length > MAX_RECENT_RESULTS || errors.length > MAX_ERROR_RESULTS) {
+    const keep = new Set([...recent.slice(-MAX_RECENT_RESULTS), ...errors.slice(-MAX_ERROR_RESULTS)]);
+    job.results = job.results.filter(result => keep.has(result));
+  }
+}
+
+// A new queued job for `user` ({ username, role } from requireRole)
+function createJob({ dryRun, limit }, user) {
+  const now = new Date().toISOString();
+  return {
+    id: `${now}-${crypto.randomBytes(3).toString('hex')}`,
+    status: 'queued',
+    dryRun,
+    limit: limit || null, // null: every completed session
+    createdBy: user ? user.username : null,
+    createdAt: now,
+    startedAt: null,
+    updatedAt: now,
+    finishedAt: null,
+    runId: null,
+    total: null,
+    cursor: null,
+    processed: 0,
+    synced: 0,
+    skipped: 0,
+    failed: 0,
+    results: [],
+    message: null
+  };
+}
+
+function isActive(job) {
+  return job.status === 'queued' || job.status === 'running';
+}
+
+// Cancelling is a blob of its own, so the runner saving progress can't
+// overwrite it
+async function requestCancel(event, jobId) {
+  await getJobStore(event).setJSON(`cancel/${jobId}`, { at: new Date().toISOString() });
+}
+
+async function isCancelRequested(event, jobId) {
+  return !!(await getJobStore(event).get(`cancel/${jobId}`, { type: 'json' }));
+}
+
+module.exports = {
+  readJob,
+  saveJob,
+  createJob,
+  recordResult,
+  isActive,
+  requestCancel,
+  isCancelRequested
+};
@@ -0,0 +1,111 @@
+// netlify/functions/utils/carriers.js
+// Carrier detection and tracking links for update-tracking and
+// check-fulfillment. IDs here must match the carrier picker in admin.html.
+
+const CARRIERS = {
+  usps: {
+    name: 'USPS',
+    trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels='
+  },
+  ups: {
+    name: 'UPS',
+    trackingUrl: 'https://www.ups.com/track?tracknum='
+  },
+  fedex: {
+    name: 'FedEx',
+    trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr='
+  },
+  dhl: {
+    name: 'DHL',
+    trackingUrl: 'https://www.dhl.com/global-en/home/tracking/tracking-express.html?submit=1&tracking-id='
+  },
+  royalmail: {
+    name: 'Royal Mail',
+    trackingUrl: 'https://www.royalmail.com/track-your-item#/tracking-results/'
+  },
+  canadapost: {
+    name: 'Canada Post',
+    trackingUrl: 'https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor='
+  },
+  auspost: {
+    name: 'Australia Post',
+    trackingUrl: 'https://auspost.com.au/mypost/track/details/'
+  }
+};
+
+// Checked in order; the first match wins. International (S10) numbers end
+// in the country of the postal service that issued them.
+const TRACKING_PATTERNS = [
+  { carrier: 'ups', pattern: /^1Z[0-9A-Z]{16}$/ },
+  { carrier: 'usps', pattern: /^[A-Z]{2}\d{9}US$/ },
+  { carrier: 'royalmail', pattern: /^[A-Z]{2}\d{9}GB$/ },
+  { carrier: 'canadapost', pattern: /^[A-Z]{2}\d{9}CA$/ },
+  { carrier: 'auspost', pattern: /^[A-Z]{2}\d{9}AU$/ },
+  // USPS domestic barcodes, optionally prefixed with 420 + ZIP code
+  { carrier: 'usps', pattern: /^(420\d{5}(\d{4})?)?9[1-5]\d{20}(\d{4})?$/ },
+  { carrier: 'usps', pattern: /^82\d{8}$/ },
+  { carrier: 'fedex', pattern: /^96\d{20}$/ },
+  { carrier: 'fedex', pattern: /^(\d{12}|\d{15}|\d{20})$/ },
+  { carrier: 'dhl', pattern: /^(\d{10}|JJD\d{18})$/ }
+];
+
+function normalizeTrackingNumber(trackingNumber) {
+  return String(trackingNumber || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+// Carrier ID for a tracking number, or null if the format isn't recognised
+function detectCarrier(trackingNumber) {
+  const normalized = normalizeTrackingNumber(trackingNumber);
+  const match = TRACKING_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+  return match ? match.carrier : null;
+}
+
+// Accepts a carrier ID or display name, e.g. 'usps', 'Royal Mail', 'DHL Express'
+function findCarrier(value) {
+  const key = String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!key) return null;
+  if (CARRIERS[key]) return key;
+  return Object.keys(CARRIERS).find(id => {
+    const name = CARRIERS[id].name.toLowerCase().replace(/[^a-z]/g, '');
+    return key === name || key.startsWith(name);
+  }) || null;
+}
+
+function getTrackingUrl(carrier, trackingNumber) {
+  return CARRIERS[carrier].trackingUrl + encodeURIComponent(normalizeTrackingNumber(trackingNumber));
+}
+
+// Work out the carrier for a shipment, preferring the one given explicitly.
+// Returns { carrier, carrierName, trackingNumber, trackingUrl } or { error }.
+function resolveTracking(trackingNumber, explicitCarrier) {
+  const normalized = normalizeTrackingNumber(trackingNumber);
+  let carrier;
+
+  if (explicitCarrier) {
+    carrier = findCarrier(explicitCarrier);
+    if (!carrier) {
+      return { error: `Unknown carrier "${explicitCarrier}"` };
+    }
+  } else {
+    carrier = detectCarrier(normalized);
+    if (!carrier) {
+      return { error: `Could not tell the carrier from tracking number ${normalized}; please choose one` };
+    }
+  }
+
+  return {
+    carrier,
+    carrierName: CARRIERS[carrier].name,
+    trackingNumber: normalized,
+    trackingUrl: getTrackingUrl(carrier, normalized)
+  };
+}
+
+module.exports = {
+  CARRIERS,
+  detectCarrier,
+  findCarrier,
+  getTrackingUrl,
+  normalizeTrackingNumber,
+  resolveTracking
+};
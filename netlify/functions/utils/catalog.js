@@ -0,0 +1,101 @@
+// netlify/functions/utils/catalog.js
+// The product catalog. Checkout, inventory, the Keap sync and the storefront
+// (through get-products) all read products from here, so adding a product or
+// changing a price only happens in this file.
+//
+// Prices are set in each currency we charge in (see utils/currency), in
+// cents, rather than converted at checkout.
+
+// When the book ships. Product copy, the checkout note, the Keap pre-order
+// tag and the admin all take it from here, so a new date is set once: here,
+// or in the site's BOOK_RELEASE_DATE environment variable.
+const BOOK_RELEASE_DATE = process.env.BOOK_RELEASE_DATE || 'March 2026';
+
+// Keap tag for buyers waiting on the book. Buyers from before a date change
+// keep the tag with the old date, so the release removes any with the prefix.
+const PRE_ORDER_TAG_PREFIX = 'Destiny Cards - Pre-Order (Book Ships';
+const PRE_ORDER_TAG = `${PRE_ORDER_TAG_PREFIX} ${BOOK_RELEASE_DATE})`;
+
+const PRODUCTS = {
+  'cards-only': {
+    // Used on the order summary, Stripe Checkout, Keap and the admin
+    name: 'Destiny Cards - 1st Edition',
+    // Product card heading on the storefront
+    headline: 'Destiny Cards',
+    description: 'Complete 1st Edition Destiny Cards deck with 25+ Functional Philosophy cards, 10+ Resourceful State cards, and quick-start guide.',
+    prices: { usd: 2000, cad: 2700, gbp: 1600, eur: 1900, aud: 3000, nzd: 3300 },
+    badge: 'Limited Quantity',
+    images: [
+      { src: 'cards.png', alt: 'Destiny Cards Deck' }
+    ],
+    features: [
+      'Complete 1st Edition Destiny Cards deck',
+      '25+ Functional Philosophy cards',
+      '10+ Resourceful State cards',
+      'Quick-start instruction guide'
+    ],
+    shipsNow: true,
+    splitShipment: false,
+    shipmentNotes: null,
+    releaseDate: null,
+    // Physical items used up per unit sold (see utils/inventory)
+    consumes: { deck: 1 },
+    // Packed weight per unit in ounces, by shipment, declared on shipping labels
+    shippingWeightOz: { cards: 6 },
+    // Stripe Tax product tax code (see utils/tax). Printed cards are
+    // general tangible goods; printed books (txcd_35010000) are taxed at a
+    // reduced rate in many places.
+    taxCode: 'txcd_99999999',
+    keapTag: 'Destiny Cards - Cards Only'
+  },
+  'cards-book-bundle': {
+    name: 'Destiny Cards + Rules To Live By Pre-Order Bundle',
+    headline: 'Destiny Cards + New Book By Thomas M. Jones: Rules To Live By (But Not Believe) Pre-Order',
+    description: `Destiny Cards deck (ships now) + "Rules To Live By (But Not Believe)" book pre-order (ships ${BOOK_RELEASE_DATE}). Items ship separately.`,
+    prices: { usd: 5500, cad: 7500, gbp: 4400, eur: 5100, aud: 8300, nzd: 9100 },
+    badge: 'Pre-Order Bundle',
+    images: [
+      { src: 'cards.png', alt: 'Destiny Cards Deck' },
+      { src: 'RulesCover.jpg', alt: 'Rules To Live By Book' }
+    ],
+    features: [
+      'Complete 1st Edition Destiny Cards deck',
+      'Rules To Live By (But Not Believe) by Thomas M. Jones. The perfect companion to deepen your practice'
+    ],
+    shipsNow: false,
+    splitShipment: true,
+    shipmentNotes: `Items ship separately. Destiny Cards ship now. Book ships ${BOOK_RELEASE_DATE}.`,
+    // When the pre-ordered item ships
+    releaseDate: BOOK_RELEASE_DATE,
+    consumes: { deck: 1, book: 1 },
+    shippingWeightOz: { cards: 6, book: 18 },
+    // The bundle isn't only a book, so it takes the general rate
+    taxCode: 'txcd_99999999',
+    keapTag: 'Destiny Cards - Cards + Book Bundle'
+  }
+};
+
+// What goes in each shipment, by physical item (see utils/inventory).
+// Split-shipment products send their items in more than one. expectedDate
+// is when a shipment that isn't ready yet is due to go out.
+const SHIPMENTS = {
+  cards: { name: 'Cards', unit: 'Destiny Cards deck', items: ['deck'] },
+  book: { name: 'Book', unit: 'Rules To Live By (But Not Believe) book', items: ['book'], expectedDate: BOOK_RELEASE_DATE }
+};
+
+// Most of one product a single order can hold
+const MAX_QUANTITY_PER_PRODUCT = 10;
+
+function getProduct(productId) {
+  return Object.prototype.hasOwnProperty.call(PRODUCTS, productId) ? PRODUCTS[productId] : null;
+}
+
+module.exports = {
+  BOOK_RELEASE_DATE,
+  PRE_ORDER_TAG_PREFIX,
+  PRE_ORDER_TAG,
+  PRODUCTS,
+  SHIPMENTS,
+  MAX_QUANTITY_PER_PRODUCT,
+  getProduct
+};
@@ -0,0 +1,30 @@
+// netlify/functions/utils/csv.js
+// CSV output for the admin downloads (export-orders, tax-report).
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// CSV text from a header -> row value layout, e.g.
+// toCsv({ 'Name': r => r.name }, rows). Lines end in CRLF.
+//
+// Names, addresses and gift messages come from buyers, so a cell that would
+// be read as a formula gets a leading ' (plain numbers such as -1.20 excepted).
+function toCsv(columns, rows) {
+  const escape = value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_START.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [Object.keys(columns).map(escape).join(',')];
+  for (const row of rows) {
+    lines.push(Object.values(columns).map(value => escape(value(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  toCsv
+};
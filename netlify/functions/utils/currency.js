@@ -0,0 +1,65 @@
+// netlify/functions/utils/currency.js
+// Currencies the store charges in. Catalog prices and shipping rates are set
+// per currency (see utils/catalog and utils/shipping); amounts are in the
+// currency's minor unit, which is cents for all of these.
+//
+// Stripe settles every charge in the account's own currency. Keap's
+// TOTAL_SPENT adds up settled amounts so orders in different currencies can
+// be summed.
+
+const CURRENCIES = {
+  usd: 'US Dollar',
+  cad: 'Canadian Dollar',
+  gbp: 'British Pound',
+  eur: 'Euro',
+  aud: 'Australian Dollar',
+  nzd: 'New Zealand Dollar'
+};
+
+const DEFAULT_CURRENCY = 'usd';
+
+// Usual currency for buyers in each country we ship to, used by the
+// storefront to pick a currency from the buyer's locale
+const COUNTRY_CURRENCIES = {
+  US: 'usd',
+  CA: 'cad',
+  GB: 'gbp',
+  IE: 'eur',
+  DE: 'eur',
+  FR: 'eur',
+  NL: 'eur',
+  BE: 'eur',
+  AU: 'aud',
+  NZ: 'nzd'
+};
+
+function isSupportedCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, currency);
+}
+
+// e.g. formatMoney(27, 'cad') -> "CA$27.00". `amount` is in major units.
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase()
+  }).format(amount);
+}
+
+// An amount in the charge's currency converted to the settlement currency,
+// at the rate the charge settled at. Refunds and lost disputes use the same
+// rate, so a full refund takes back exactly what the order added.
+// `balanceTransaction` is the charge's; exchange_rate is null when no
+// conversion happened.
+function toSettlementAmount(amount, balanceTransaction) {
+  const rate = balanceTransaction?.exchange_rate;
+  return rate ? Math.round(amount * rate) : amount;
+}
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  COUNTRY_CURRENCIES,
+  isSupportedCurrency,
+  formatMoney,
+  toSettlementAmount
+};
@@ -0,0 +1,314 @@
+// netlify/functions/utils/fulfillment.js
+// Per-order fulfillment records, kept in the order's PaymentIntent metadata
+// next to the Keap sync ledger (see stripe-webhook), or in the checkout
+// session's metadata for zero-amount orders, which have no PaymentIntent.
+// Each shipment type has
+// its current tracking details plus a short history of every update, so
+// corrections and re-shipments stay visible.
+
+const { CARRIERS, detectCarrier, getTrackingUrl } = require('./carriers');
+
+const FULFILLMENT_KEYS = {
+  cards: 'cardsShipment', // JSON { trackingNumber, carrier, shippedAt }
+  book: 'bookShipment',
+  HISTORY: 'fulfillmentHistory', // JSON [[type, trackingNumber, carrier, shippedAt], ...]
+  BOOK_RELEASED: 'bookReleasedAt' // YYYY-MM-DD the book was released for this order (see release-book)
+};
+
+// Stripe metadata values are limited to 500 characters
+const MAX_METADATA_LENGTH = 500;
+
+// Keap contact fields holding the contact's latest shipments
+const KEAP_FIELDS = {
+  CARDS_TRACKING_NUMBER: 315,
+  CARDS_SHIPPED_DATE: 317,
+  BOOK_TRACKING_NUMBER: 319,
+  BOOK_SHIPPED_DATE: 321,
+  CARDS_TRACKING_URL: 329,
+  CARDS_CARRIER: 331,
+  BOOK_TRACKING_URL: 333,
+  BOOK_CARRIER: 335
+};
+
+// Keap lookups for orders without a record. Results are cached for the life
+// of the function instance, and each request gets a limited number of
+// lookups, made a few at a time, to stay under Keap's rate limit.
+const KEAP_CACHE_MS = 5 * 60 * 1000;
+const KEAP_LOOKUPS_PER_REQUEST = 20;
+const KEAP_BATCH_SIZE = 4;
+const KEAP_BATCH_DELAY_MS = 250;
+
+// email -> { expires, shipments }
+const keapCache = new Map();
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function describeShipment(record) {
+  if (!record || !record.trackingNumber) return null;
+  const carrier = CARRIERS[record.carrier] ? record.carrier : null;
+  return {
+    trackingNumber: record.trackingNumber,
+    carrier,
+    carrierName: carrier ? CARRIERS[carrier].name : null,
+    trackingUrl: carrier ? getTrackingUrl(carrier, record.trackingNumber) : null,
+    shippedAt: record.shippedAt || null
+  };
+}
+
+// Metadata holding the fulfillment record of an order (a checkout session
+// with its payment_intent expanded)
+function orderMetadata(session) {
+  return session.payment_intent?.metadata ?? session.metadata ?? {};
+}
+
+// Write fulfillment fields to the order's metadata. Returns the updated metadata.
+async function updateOrderMetadata(stripe, session, metadata) {
+  const updated = session.payment_intent
+    ? await stripe.paymentIntents.update(session.payment_intent.id, { metadata })
+    : await stripe.checkout.sessions.update(session.id, { metadata });
+  return updated.metadata;
+}
+
+// Fulfillment for one order, from its metadata (see orderMetadata)
+function readFulfillment(metadata = {}) {
+  const history = parseJson(metadata[FULFILLMENT_KEYS.HISTORY], [])
+    .map(([shipmentType, trackingNumber, carrier, shippedAt]) => ({ shipmentType, trackingNumber, carrier, shippedAt }));
+
+  return {
+    cards: describeShipment(parseJson(metadata[FULFILLMENT_KEYS.cards], null)),
+    book: describeShipment(parseJson(metadata[FULFILLMENT_KEYS.book], null)),
+    history,
+    bookReleasedAt: metadata[FULFILLMENT_KEYS.BOOK_RELEASED] || null
+  };
+}
+
+// Whether the order has any fulfillment record yet. Orders shipped before
+// records were kept only have tracking details in Keap.
+function hasFulfillmentRecord(metadata = {}) {
+  return !!(metadata[FULFILLMENT_KEYS.cards] || metadata[FULFILLMENT_KEYS.book]);
+}
+
+// Overall status for the admin filters
+function fulfillmentStatus(fulfillment, { hasPreOrder, refundStatus }) {
+  if (refundStatus === 'full') {
+    return 'refunded'; // Nothing left to ship
+  }
+  if (hasPreOrder) {
+    if (fulfillment.cards && fulfillment.book) return 'fulfilled';
+    if (fulfillment.cards) return 'partial'; // Cards shipped, book pending
+    return 'pending';
+  }
+  return fulfillment.cards ? 'fulfilled' : 'pending';
+}
+
+// Save a shipment on the order. `tracking` comes from resolveTracking in
+// utils/carriers. Returns the order's updated fulfillment.
+async function recordShipment(stripe, session, shipmentType, tracking) {
+  const shippedAt = new Date().toISOString().split('T')[0];
+  const record = {
+    trackingNumber: tracking.trackingNumber,
+    carrier: tracking.carrier,
+    shippedAt
+  };
+
+  // Newest last; drop the oldest entries once the history gets too long
+  const history = parseJson(orderMetadata(session)[FULFILLMENT_KEYS.HISTORY], []);
+  history.push([shipmentType, tracking.trackingNumber, tracking.carrier, shippedAt]);
+  while (history.length > 1 && JSON.stringify(history).length > MAX_METADATA_LENGTH) {
+    history.shift();
+  }
+
+  const metadata = {
+    [FULFILLMENT_KEYS[shipmentType]]: JSON.stringify(record),
+    [FULFILLMENT_KEYS.HISTORY]: JSON.stringify(history)
+  };
+
+  return readFulfillment(await updateOrderMetadata(stripe, session, metadata));
+}
+
+// Mark the order's book ready to ship. Returns the order's updated fulfillment.
+async function recordBookRelease(stripe, session) {
+  const releasedAt = new Date().toISOString().split('T')[0];
+  const metadata = await updateOrderMetadata(stripe, session, {
+    [FULFILLMENT_KEYS.BOOK_RELEASED]: releasedAt
+  });
+  return readFulfillment(metadata);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Latest shipments on a Keap contact: { found, cards, book }, each shipment
+// { trackingNumber, shippedAt, carrierName, trackingUrl } or null. Throws on
+// Keap errors; a rate-limited lookup throws an error with status 429.
+async function fetchKeapShipments(keapToken, email) {
+  const response = await fetch(
+    `https://api.infusionsoft.com/crm/rest/v1/contacts?email=${encodeURIComponent(email)}&optional_properties=custom_fields`,
+    {
+      headers: {
+        'Authorization': `Bearer ${keapToken}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+
+  if (!response.ok) {
+    const error = new Error(`Keap search failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  const contact = data.contacts?.[0];
+  if (!contact) {
+    return { found: false, cards: null, book: null };
+  }
+
+  const customFields = contact.custom_fields || [];
+  const fieldValue = id => customFields.find(f => f.id === id)?.content || null;
+
+  return {
+    found: true,
+    cards: describeKeapShipment(
+      fieldValue(KEAP_FIELDS.CARDS_TRACKING_NUMBER),
+      fieldValue(KEAP_FIELDS.CARDS_SHIPPED_DATE),
+      fieldValue(KEAP_FIELDS.CARDS_CARRIER),
+      fieldValue(KEAP_FIELDS.CARDS_TRACKING_URL)
+    ),
+    book: describeKeapShipment(
+      fieldValue(KEAP_FIELDS.BOOK_TRACKING_NUMBER),
+      fieldValue(KEAP_FIELDS.BOOK_SHIPPED_DATE),
+      fieldValue(KEAP_FIELDS.BOOK_CARRIER),
+      fieldValue(KEAP_FIELDS.BOOK_TRACKING_URL)
+    )
+  };
+}
+
+// Shipments recorded before carriers were stored only have a tracking
+// number, so detect the carrier for those
+function describeKeapShipment(trackingNumber, shippedAt, carrierName, trackingUrl) {
+  if (!trackingNumber) return null;
+
+  if (!trackingUrl) {
+    const detected = detectCarrier(trackingNumber);
+    carrierName = detected ? CARRIERS[detected].name : null;
+    trackingUrl = detected ? getTrackingUrl(detected, trackingNumber) : null;
+  }
+
+  return { trackingNumber, shippedAt, carrierName, trackingUrl };
+}
+
+// Cached fetchKeapShipments
+async function getKeapShipments(keapToken, email) {
+  const key = email.toLowerCase();
+  const cached = keapCache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return cached.shipments;
+  }
+
+  const shipments = await fetchKeapShipments(keapToken, email);
+  keapCache.set(key, { expires: Date.now() + KEAP_CACHE_MS, shipments });
+  return shipments;
+}
+
+// Lookup for one request. lookup(emails) resolves to a Map of lowercased
+// email -> shipments, leaving out any it couldn't check: lookups past the
+// request's budget, and everything after Keap starts failing.
+function createKeapLookup(keapToken) {
+  let remaining = keapToken ? KEAP_LOOKUPS_PER_REQUEST : 0;
+
+  async function lookupOne(email, results) {
+    try {
+      results.set(email, await getKeapShipments(keapToken, email));
+    } catch (error) {
+      console.error(`Keap fulfillment lookup failed for ${email}:`, error.message);
+      remaining = 0;
+    }
+  }
+
+  return async function lookup(emails) {
+    const results = new Map();
+    const uncached = [];
+
+    for (const email of new Set(emails.map(e => e.toLowerCase()))) {
+      const cached = keapCache.get(email);
+      if (cached && cached.expires > Date.now()) {
+        results.set(email, cached.shipments);
+      } else {
+        uncached.push(email);
+      }
+    }
+
+    for (let i = 0; i < uncached.length && remaining > 0; i += KEAP_BATCH_SIZE) {
+      if (i > 0) {
+        await sleep(KEAP_BATCH_DELAY_MS);
+      }
+      const batch = uncached.slice(i, i + Math.min(KEAP_BATCH_SIZE, remaining));
+      remaining -= batch.length;
+      await Promise.all(batch.map(email => lookupOne(email, results)));
+    }
+
+    return results;
+  };
+}
+
+// Keap only holds the contact's latest shipment of each type, so it only
+// counts for an order if it shipped on or after the day the order was placed.
+// Returns the same shape as readFulfillment.
+function keapFulfillmentForOrder(shipments, created) {
+  const orderDate = new Date(created * 1000).toISOString().split('T')[0];
+  const forOrder = shipment =>
+    shipment && !(shipment.shippedAt && shipment.shippedAt < orderDate) ? shipment : null;
+
+  return {
+    cards: forOrder(shipments.cards),
+    book: forOrder(shipments.book),
+    history: []
+  };
+}
+
+// Look up an order by checkout session ID or PaymentIntent ID. Returns the
+// session with its payment_intent expanded, or null.
+async function findOrder(stripe, orderId) {
+  if (typeof orderId !== 'string') return null;
+
+  if (orderId.startsWith('pi_')) {
+    const sessions = await stripe.checkout.sessions.list({
+      payment_intent: orderId,
+      limit: 1,
+      expand: ['data.payment_intent']
+    });
+    return sessions.data[0] || null;
+  }
+
+  if (orderId.startsWith('cs_')) {
+    try {
+      return await stripe.checkout.sessions.retrieve(orderId, { expand: ['payment_intent'] });
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  orderMetadata,
+  readFulfillment,
+  hasFulfillmentRecord,
+  fulfillmentStatus,
+  recordShipment,
+  recordBookRelease,
+  findOrder,
+  getKeapShipments,
+  createKeapLookup,
+  keapFulfillmentForOrder
+};
@@ -0,0 +1,174 @@
+// netlify/functions/utils/inventory.js
+// Stock accounting shared by get-inventory, get-products and create-checkout-session.
+// Completed sessions are sold units; open (unexpired) sessions are reservations.
+// Refunded orders are returned to stock through their PaymentIntent metadata.
+
+const { PRODUCTS } = require('./catalog');
+
+// Physical stock, one pool per print run. Products say which items they
+// use up through `consumes` in the catalog.
+const INVENTORY_ITEMS = {
+  deck: { name: 'Destiny Cards decks', total: 75 },
+  book: { name: 'Rules To Live By books', total: 75 }
+};
+
+// How long an unpaid checkout holds its units. Stripe's minimum is 30
+// minutes from creation; the extra minute covers request latency.
+const RESERVATION_MINUTES = 31;
+
+function emptyUsage() {
+  const usage = {};
+  for (const itemId of Object.keys(INVENTORY_ITEMS)) {
+    usage[itemId] = 0;
+  }
+  return usage;
+}
+
+// Physical items a cart uses up, e.g. { deck: 3, book: 1 }
+function countCartUsage(cartItems) {
+  const usage = emptyUsage();
+  for (const item of cartItems) {
+    // Every product includes a deck, so unknown products count as one
+    const consumes = PRODUCTS[item.productId]?.consumes || { deck: 1 };
+    for (const [itemId, perUnit] of Object.entries(consumes)) {
+      usage[itemId] += perUnit * (item.quantity || 0);
+    }
+  }
+  return usage;
+}
+
+// Physical items held by a single checkout session
+function countSessionUsage(session) {
+  // Fully refunded orders give their units back (see stripe-webhook)
+  if (session.payment_intent?.metadata?.restocked === 'true') {
+    return emptyUsage();
+  }
+
+  try {
+    return countCartUsage(JSON.parse(session.metadata?.cartItems || '[]'));
+  } catch (e) {
+    // If we can't parse metadata, count decks from line items
+    const usage = emptyUsage();
+    for (const lineItem of session.line_items?.data || []) {
+      usage.deck += lineItem.quantity || 0;
+    }
+    return usage;
+  }
+}
+
+function addUsage(total, usage) {
+  for (const [itemId, count] of Object.entries(usage)) {
+    total[itemId] += count;
+  }
+  return total;
+}
+
+// Page through every checkout session with the given status
+async function listAllSessions(stripe, status) {
+  const sessions = [];
+  let hasMore = true;
+  let startingAfter = null;
+
+  while (hasMore) {
+    const params = {
+      status,
+      limit: 100,
+      expand: ['data.line_items', 'data.payment_intent']
+    };
+
+    if (startingAfter) {
+      params.starting_after = startingAfter;
+    }
+
+    const page = await stripe.checkout.sessions.list(params);
+    sessions.push(...page.data);
+
+    hasMore = page.has_more;
+    if (page.data.length > 0) {
+      startingAfter = page.data[page.data.length - 1].id;
+    } else {
+      hasMore = false;
+    }
+  }
+
+  return sessions;
+}
+
+async function loadSessions(stripe) {
+  const now = Math.floor(Date.now() / 1000);
+  const [completed, open] = await Promise.all([
+    listAllSessions(stripe, 'complete'),
+    listAllSessions(stripe, 'open')
+  ]);
+
+  // Stripe can report a session as open for a moment after expires_at
+  const reservations = open
+    .filter(session => !session.expires_at || session.expires_at > now)
+    .sort((a, b) => a.created - b.created || a.id.localeCompare(b.id));
+
+  return { completed, reservations };
+}
+
+function fitsInStock(usage) {
+  return Object.entries(usage).every(([itemId, count]) => count <= INVENTORY_ITEMS[itemId].total);
+}
+
+// Current stock levels per physical item, and how many of each product can
+// still be sold. A product sells out when any item it needs runs out.
+async function getInventoryLevels(stripe) {
+  const { completed, reservations } = await loadSessions(stripe);
+
+  const sold = completed.reduce((sum, session) => addUsage(sum, countSessionUsage(session)), emptyUsage());
+  const reserved = reservations.reduce((sum, session) => addUsage(sum, countSessionUsage(session)), emptyUsage());
+
+  const items = {};
+  for (const [itemId, item] of Object.entries(INVENTORY_ITEMS)) {
+    items[itemId] = {
+      name: item.name,
+      total: item.total,
+      sold: sold[itemId],
+      reserved: reserved[itemId],
+      remaining: Math.max(0, item.total - sold[itemId] - reserved[itemId])
+    };
+  }
+
+  const products = {};
+  for (const [productId, product] of Object.entries(PRODUCTS)) {
+    products[productId] = {
+      name: product.name,
+      consumes: product.consumes,
+      remaining: Math.min(...Object.entries(product.consumes).map(([itemId, perUnit]) =>
+        Math.floor(items[itemId].remaining / perUnit)
+      ))
+    };
+  }
+
+  return { items, products };
+}
+
+// Whether a freshly created session fits in stock. Open sessions are served
+// in creation order, so when two buyers race for the last units the later
+// session is the one that loses.
+async function isReservationWithinStock(stripe, sessionId, usage) {
+  const { completed, reservations } = await loadSessions(stripe);
+
+  const committed = completed.reduce((sum, session) => addUsage(sum, countSessionUsage(session)), emptyUsage());
+
+  for (const session of reservations) {
+    addUsage(committed, countSessionUsage(session));
+    if (session.id === sessionId) {
+      return fitsInStock(committed);
+    }
+  }
+
+  // Not listed yet - judge it against everything we can see
+  return fitsInStock(addUsage(committed, usage));
+}
+
+module.exports = {
+  INVENTORY_ITEMS,
+  RESERVATION_MINUTES,
+  countCartUsage,
+  getInventoryLevels,
+  isReservationWithinStock
+};
@@ -0,0 +1,52 @@
+// netlify/functions/utils/links.js
+// Signed, expiring links emailed to customers (see utils/tokens), so they
+// can see their orders and receipts without an account or password.
+
+const { issueToken, verifyToken } = require('./tokens');
+
+const ORDER_STATUS_PURPOSE = 'order-status';
+const RECEIPT_PURPOSE = 'receipt';
+
+// How long an order status link works for
+const ORDER_STATUS_LINK_HOURS = 24;
+
+// How long a receipt link works for
+const RECEIPT_LINK_DAYS = 90;
+
+function siteUrl() {
+  return process.env.URL || 'https://destinycards.paradoxprocess.org';
+}
+
+// Link to the order status page listing every order placed with `email`
+function orderStatusLink(email) {
+  const token = issueToken(ORDER_STATUS_PURPOSE, { email }, ORDER_STATUS_LINK_HOURS * 3600);
+  return `${siteUrl()}/order-status?token=${token}`;
+}
+
+// { email, issuedAt } from an order status token or a link carrying one,
+// or null if it isn't genuine or has expired
+function readOrderStatusToken(tokenOrLink) {
+  const token = String(tokenOrLink || '').split('token=').pop();
+  const claims = verifyToken(token, ORDER_STATUS_PURPOSE);
+  return claims ? { email: claims.email, issuedAt: claims.iat } : null;
+}
+
+// Link to the confirmation page showing the receipt for one checkout session
+function receiptLink(sessionId) {
+  const token = issueToken(RECEIPT_PURPOSE, { sessionId }, RECEIPT_LINK_DAYS * 24 * 3600);
+  return `${siteUrl()}/checkout-complete?session_id=${encodeURIComponent(sessionId)}&token=${token}`;
+}
+
+// Whether `token` is a genuine, unexpired receipt token for sessionId
+function isReceiptToken(token, sessionId) {
+  const claims = verifyToken(token, RECEIPT_PURPOSE);
+  return !!claims && claims.sessionId === sessionId;
+}
+
+module.exports = {
+  ORDER_STATUS_LINK_HOURS,
+  orderStatusLink,
+  readOrderStatusToken,
+  receiptLink,
+  isReceiptToken
+};
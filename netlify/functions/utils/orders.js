@@ -0,0 +1,294 @@
+// netlify/functions/utils/orders.js
+// The admin's view of an order, built from a completed checkout session
+// listed with its payment intent and tax breakdown expanded (ORDER_EXPAND).
+// Shared by get-orders, export-orders, packing-slips, tax-report and order-status.
+
+const { getProduct, SHIPMENTS } = require('./catalog');
+const {
+  orderMetadata,
+  readFulfillment,
+  hasFulfillmentRecord,
+  fulfillmentStatus,
+  keapFulfillmentForOrder
+} = require('./fulfillment');
+
+// Expansions toOrder reads, for listing checkout sessions
+const ORDER_EXPAND = ['data.payment_intent', 'data.total_details.breakdown'];
+
+// Build an order from a checkout session. Returns null if the session
+// can't be read.
+function toOrder(session) {
+  try {
+    // The payment intent's metadata carries refund, dispute and fulfillment
+    // state; a zero-amount order's session metadata carries its fulfillment
+    const paymentMetadata = orderMetadata(session);
+    const refundStatus = paymentMetadata.refundStatus || null;
+
+    // Parse cart items from metadata
+    let cartItems = [];
+    let hasPreOrder = false;
+    try {
+      cartItems = JSON.parse(session.metadata?.cartItems || '[]');
+      hasPreOrder = session.metadata?.hasPreOrder === 'true';
+    } catch (e) {
+      console.error('Failed to parse cart items for session:', session.id);
+    }
+
+    // Build order summary
+    const orderSummary = cartItems.map(item =>
+      `${item.quantity}x ${item.productName}`
+    ).join(', ') || 'Unknown items';
+
+    const order = {
+      id: session.id,
+      paymentIntentId: session.payment_intent?.id || null,
+      created: session.created,
+      createdDate: new Date(session.created * 1000).toISOString(),
+      customer: {
+        name: session.customer_details?.name || 'Unknown',
+        email: session.customer_details?.email || 'Unknown',
+        phone: session.customer_details?.phone || null
+      },
+      shipping: session.shipping_details ? {
+        name: session.shipping_details.name,
+        address: {
+          line1: session.shipping_details.address?.line1,
+          line2: session.shipping_details.address?.line2,
+          city: session.shipping_details.address?.city,
+          state: session.shipping_details.address?.state,
+          postalCode: session.shipping_details.address?.postal_code,
+          country: session.shipping_details.address?.country
+        }
+      } : null,
+      items: cartItems,
+      orderSummary,
+      // Amounts are in the order's currency
+      currency: session.currency,
+      amountTotal: session.amount_total / 100,
+      discount: session.metadata?.promoCode ? {
+        code: session.metadata.promoCode,
+        amount: (session.total_details?.amount_discount || 0) / 100
+      } : null,
+      tax: session.total_details?.amount_tax ? {
+        amount: session.total_details.amount_tax / 100,
+        lines: taxLines(session)
+      } : null,
+      hasPreOrder,
+      giftMessage: session.custom_fields?.find(field => field.key === 'gift_message')?.text?.value || null,
+      refund: refundStatus ? {
+        status: refundStatus,
+        amountRefunded: parseInt(paymentMetadata.refundedAmount || '0', 10) / 100
+      } : null,
+      disputeStatus: paymentMetadata.disputeStatus || null,
+      fulfillment: null
+    };
+
+    // Fulfillment record kept on the order by update-tracking. Orders
+    // shipped before those records existed stay unchecked until
+    // resolveLegacyOrders looks them up in Keap.
+    const hasRecord = hasFulfillmentRecord(paymentMetadata);
+    const hasEmail = !!session.customer_details?.email;
+    applyFulfillment(order, readFulfillment(paymentMetadata), hasRecord ? 'order' : null);
+    order.fulfillment.checked = hasRecord || !hasEmail;
+
+    return order;
+  } catch (sessionError) {
+    console.error(`Error processing session ${session.id}:`, sessionError.message);
+    return null;
+  }
+}
+
+// Set an order's fulfillment fields from a readFulfillment-shaped object
+function applyFulfillment(order, fulfillment, source) {
+  order.fulfillment = {
+    status: fulfillmentStatus(fulfillment, {
+      hasPreOrder: order.hasPreOrder,
+      refundStatus: order.refund?.status || null
+    }),
+    source,
+    hasRecord: source === 'order',
+    checked: !!source,
+    cardsShipped: !!fulfillment.cards,
+    bookShipped: !!fulfillment.book,
+    cardsTrackingNumber: fulfillment.cards?.trackingNumber || null,
+    bookTrackingNumber: fulfillment.book?.trackingNumber || null,
+    cardsCarrier: fulfillment.cards?.carrierName || null,
+    bookCarrier: fulfillment.book?.carrierName || null,
+    cardsTrackingUrl: fulfillment.cards?.trackingUrl || null,
+    bookTrackingUrl: fulfillment.book?.trackingUrl || null,
+    cardsShippedAt: fulfillment.cards?.shippedAt || null,
+    bookShippedAt: fulfillment.book?.shippedAt || null,
+    bookReleasedAt: fulfillment.bookReleasedAt || null,
+    history: fulfillment.history
+  };
+}
+
+// Fill in fulfillment from Keap for orders without a record. Orders Keap
+// can't be asked about this request keep checked: false; the admin checks
+// those one at a time (check-fulfillment).
+async function resolveLegacyOrders(orders, keapLookup) {
+  const legacy = orders.filter(o => !o.fulfillment.checked);
+  if (legacy.length === 0) return;
+
+  const shipments = await keapLookup(legacy.map(o => o.customer.email));
+
+  for (const order of legacy) {
+    const contactShipments = shipments.get(order.customer.email.toLowerCase());
+    if (contactShipments) {
+      // The release is kept on the order even when its shipments aren't
+      const fulfillment = keapFulfillmentForOrder(contactShipments, order.created);
+      applyFulfillment(order, { ...fulfillment, bookReleasedAt: order.fulfillment.bookReleasedAt }, 'keap');
+    }
+  }
+}
+
+// Tax charged on the order by jurisdiction, as Stripe calculated it. Amounts
+// are in the order's currency; taxableAmount is null on older API versions.
+function taxLines(session) {
+  return (session.total_details?.breakdown?.taxes || []).map(tax => ({
+    country: tax.rate?.country || null,
+    state: tax.rate?.state || null,
+    jurisdiction: tax.rate?.jurisdiction || null,
+    name: tax.rate?.display_name || 'Tax',
+    percentage: tax.rate?.effective_percentage ?? tax.rate?.percentage ?? null,
+    inclusive: !!tax.rate?.inclusive,
+    taxableAmount: typeof tax.taxable_amount === 'number' ? tax.taxable_amount / 100 : null,
+    amount: tax.amount / 100
+  }));
+}
+
+// Every completed order, newest first, reading at most maxPages Stripe
+// list calls of 100. `created` is an optional Stripe date range filter, and
+// `email` limits it to one buyer's orders.
+async function listOrders(stripe, { created, email, maxPages = 20 } = {}) {
+  const orders = [];
+  let startingAfter = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const sessions = await stripe.checkout.sessions.list({
+      status: 'complete',
+      limit: 100,
+      expand: ORDER_EXPAND,
+      ...(created && { created }),
+      ...(email && { customer_details: { email } }),
+      ...(startingAfter && { starting_after: startingAfter })
+    });
+    for (const session of sessions.data) {
+      const order = toOrder(session);
+      if (order) orders.push(order);
+    }
+    if (!sessions.has_more || sessions.data.length === 0) break;
+    startingAfter = sessions.data[sessions.data.length - 1].id;
+  }
+
+  return orders;
+}
+
+// One buyer's completed orders, newest first. Stripe matches the email
+// exactly, so it's looked up as given and in lowercase.
+async function listCustomerOrders(stripe, email, { maxPages = 2 } = {}) {
+  const orders = new Map();
+  for (const variant of new Set([email, email.toLowerCase()])) {
+    for (const order of await listOrders(stripe, { email: variant, maxPages })) {
+      orders.set(order.id, order);
+    }
+  }
+  return [...orders.values()].sort((a, b) => b.created - a.created);
+}
+
+// Stripe `created` filter from YYYY-MM-DD bounds (UTC, inclusive), null for
+// no range, or { error }
+function parseDateRange(from, to) {
+  if (!from && !to) return null;
+
+  const created = {};
+  for (const [value, bound, endOfDay] of [[from, 'gte', false], [to, 'lte', true]]) {
+    if (!value) continue;
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+    if (Number.isNaN(time)) {
+      return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    created[bound] = Math.floor(time / 1000) + (endOfDay ? 86399 : 0);
+  }
+  return created;
+}
+
+// Status filter for work on one shipment. 'unshipped' means this shipment
+// hasn't gone out and the order wasn't fully refunded; 'all' matches every
+// order; anything else is an order fulfillment status.
+function matchesShipmentStatus(order, shipmentType, status) {
+  if (status === 'all') return true;
+  if (status === 'unshipped') {
+    return order.fulfillment.status !== 'refunded' && !order.fulfillment[`${shipmentType}Shipped`];
+  }
+  return order.fulfillment.status === status;
+}
+
+// Cart lines packed in one shipment, with the units of each physical item
+// they need: [{ productId, productName, quantity, product, units: { deck: 2 } }]
+function shipmentLines(order, shipmentType) {
+  const lines = [];
+  for (const item of order.items) {
+    const product = getProduct(item.productId);
+    if (!product) continue;
+
+    const units = {};
+    for (const itemId of SHIPMENTS[shipmentType].items) {
+      if (product.consumes[itemId]) {
+        units[itemId] = product.consumes[itemId] * item.quantity;
+      }
+    }
+    if (Object.keys(units).length > 0) {
+      lines.push({ productId: item.productId, productName: item.productName, quantity: item.quantity, product, units });
+    }
+  }
+  return lines;
+}
+
+// Collapse stray whitespace in an address field
+function clean(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+// Tidy a shipping address for labels: uppercase state and country codes,
+// US ZIP and Canadian postal code formats, no empty first line
+function normalizeAddress(address) {
+  let line1 = clean(address.line1);
+  let line2 = clean(address.line2);
+  if (!line1 && line2) {
+    line1 = line2;
+    line2 = '';
+  }
+
+  const country = clean(address.country).toUpperCase();
+  let postalCode = clean(address.postalCode).toUpperCase();
+  if (country === 'US') {
+    const digits = postalCode.replace(/\D/g, '');
+    if (digits.length === 9) postalCode = `${digits.slice(0, 5)}-${digits.slice(5)}`;
+    else if (digits.length === 5) postalCode = digits;
+  } else if (country === 'CA') {
+    const compact = postalCode.replace(/\s/g, '');
+    if (/^[A-Z]\d[A-Z]\d[A-Z]\d$/.test(compact)) postalCode = `${compact.slice(0, 3)} ${compact.slice(3)}`;
+  }
+
+  return {
+    line1,
+    line2,
+    city: clean(address.city),
+    state: clean(address.state).toUpperCase(),
+    postalCode,
+    country
+  };
+}
+
+module.exports = {
+  ORDER_EXPAND,
+  toOrder,
+  resolveLegacyOrders,
+  listOrders,
+  listCustomerOrders,
+  parseDateRange,
+  matchesShipmentStatus,
+  shipmentLines,
+  normalizeAddress
+};
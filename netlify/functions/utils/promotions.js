@@ -0,0 +1,84 @@
+// netlify/functions/utils/promotions.js
+// Promotion code lookup shared by validate-promo-code and create-checkout-session.
+// Codes, their redemption limits and expiry dates are managed in the Stripe
+// Dashboard (Products → Coupons → Promotion codes). Fixed-amount coupons and
+// minimum amounts only apply in the currencies they're set up in (a coupon's
+// own currency plus any added under "currency options").
+
+const { formatMoney } = require('./currency');
+
+// Find an active promotion code and check it can be used on a cart with the
+// given subtotal (in cents of `currency`). Returns { promotion } or { error }.
+async function findPromotionCode(stripe, code, subtotal, currency) {
+  const normalized = (code || '').trim();
+  if (!normalized) {
+    return { error: 'Please enter a promo code.' };
+  }
+
+  const result = await stripe.promotionCodes.list({
+    code: normalized,
+    active: true,
+    limit: 1,
+    expand: ['data.coupon.currency_options', 'data.restrictions.currency_options']
+  });
+
+  const promotion = result.data[0];
+  const now = Math.floor(Date.now() / 1000);
+
+  // Stripe enforces these again when the session is created, but checking
+  // here gives the buyer a clear message instead of a failed checkout
+  if (!promotion || !promotion.coupon.valid) {
+    return { error: 'That promo code is not valid.' };
+  }
+
+  if (promotion.expires_at && promotion.expires_at <= now) {
+    return { error: 'That promo code has expired.' };
+  }
+
+  if (promotion.max_redemptions && promotion.times_redeemed >= promotion.max_redemptions) {
+    return { error: 'That promo code has reached its limit.' };
+  }
+
+  if (promotion.coupon.amount_off && amountOff(promotion.coupon, currency) === null) {
+    return { error: `That promo code can't be used with prices in ${currency.toUpperCase()}.` };
+  }
+
+  const restrictions = promotion.restrictions || {};
+  const minimum = restrictions.minimum_amount_currency === currency
+    ? restrictions.minimum_amount
+    : restrictions.currency_options?.[currency]?.minimum_amount;
+  if (restrictions.minimum_amount && !minimum) {
+    return { error: `That promo code can't be used with prices in ${currency.toUpperCase()}.` };
+  }
+  if (minimum && subtotal < minimum) {
+    return { error: `That promo code needs a subtotal of at least ${formatMoney(minimum / 100, currency)}.` };
+  }
+
+  return { promotion };
+}
+
+// A fixed-amount coupon's discount in cents of `currency`, or null if it
+// has none in that currency
+function amountOff(coupon, currency) {
+  if (coupon.currency === currency) {
+    return coupon.amount_off;
+  }
+  return coupon.currency_options?.[currency]?.amount_off ?? null;
+}
+
+// What the storefront needs to preview the discount, in the cart's currency
+function describePromotion(promotion, currency) {
+  const coupon = promotion.coupon;
+  const amount = coupon.amount_off ? amountOff(coupon, currency) : null;
+  return {
+    code: promotion.code,
+    name: coupon.name || promotion.code,
+    percentOff: coupon.percent_off || null,
+    amountOff: amount ? amount / 100 : null
+  };
+}
+
+module.exports = {
+  findPromotionCode,
+  describePromotion
+};
@@ -0,0 +1,150 @@
+// netlify/functions/utils/shipping.js
+// Shipping rate table. Checkout offers the rates for the buyer's zone and
+// only accepts addresses in that zone; the storefront's country list comes
+// from here too (through get-products).
+//
+// Rates are per package by packed weight (shippingWeightOz in the catalog),
+// set in each currency we charge in. Split-shipment orders send a package
+// per shipment, and pay for each.
+
+const { getProduct, SHIPMENTS } = require('./catalog');
+
+// Country names for the storefront selector, in display order
+const COUNTRIES = {
+  US: 'United States',
+  CA: 'Canada',
+  GB: 'United Kingdom',
+  IE: 'Ireland',
+  DE: 'Germany',
+  FR: 'France',
+  NL: 'Netherlands',
+  BE: 'Belgium',
+  AU: 'Australia',
+  NZ: 'New Zealand'
+};
+
+// Each tier covers packages up to maxOz; amounts in cents, by currency
+const SHIPPING_ZONES = {
+  domestic: {
+    countries: ['US'],
+    rates: [
+      {
+        name: 'Standard Shipping',
+        minDays: 5,
+        maxDays: 7,
+        tiers: [
+          { maxOz: 16, amounts: { usd: 500, cad: 700, gbp: 400, eur: 450, aud: 750, nzd: 850 } },
+          { maxOz: 32, amounts: { usd: 800, cad: 1100, gbp: 650, eur: 750, aud: 1200, nzd: 1350 } },
+          { maxOz: 64, amounts: { usd: 1200, cad: 1650, gbp: 950, eur: 1100, aud: 1800, nzd: 2000 } },
+          { maxOz: Infinity, amounts: { usd: 1800, cad: 2450, gbp: 1450, eur: 1650, aud: 2750, nzd: 3000 } }
+        ]
+      },
+      {
+        name: 'Express Shipping',
+        minDays: 2,
+        maxDays: 3,
+        tiers: [
+          { maxOz: 16, amounts: { usd: 1200, cad: 1650, gbp: 950, eur: 1100, aud: 1800, nzd: 2000 } },
+          { maxOz: 32, amounts: { usd: 1600, cad: 2200, gbp: 1250, eur: 1500, aud: 2450, nzd: 2650 } },
+          { maxOz: 64, amounts: { usd: 2200, cad: 3000, gbp: 1750, eur: 2000, aud: 3350, nzd: 3650 } },
+          { maxOz: Infinity, amounts: { usd: 3000, cad: 4100, gbp: 2400, eur: 2750, aud: 4550, nzd: 5000 } }
+        ]
+      }
+    ]
+  },
+  canada: {
+    countries: ['CA'],
+    rates: [
+      {
+        name: 'International Shipping',
+        minDays: 7,
+        maxDays: 14,
+        tiers: [
+          { maxOz: 16, amounts: { usd: 1500, cad: 2050, gbp: 1200, eur: 1400, aud: 2300, nzd: 2500 } },
+          { maxOz: 32, amounts: { usd: 2200, cad: 3000, gbp: 1750, eur: 2000, aud: 3350, nzd: 3650 } },
+          { maxOz: 64, amounts: { usd: 3200, cad: 4400, gbp: 2550, eur: 2950, aud: 4850, nzd: 5300 } },
+          { maxOz: Infinity, amounts: { usd: 4500, cad: 6150, gbp: 3550, eur: 4150, aud: 6850, nzd: 7450 } }
+        ]
+      }
+    ]
+  },
+  international: {
+    countries: ['GB', 'IE', 'DE', 'FR', 'NL', 'BE', 'AU', 'NZ'],
+    rates: [
+      {
+        name: 'International Shipping',
+        minDays: 10,
+        maxDays: 21,
+        tiers: [
+          { maxOz: 16, amounts: { usd: 1800, cad: 2450, gbp: 1400, eur: 1650, aud: 2750, nzd: 3000 } },
+          { maxOz: 32, amounts: { usd: 2800, cad: 3850, gbp: 2200, eur: 2600, aud: 4250, nzd: 4650 } },
+          { maxOz: 64, amounts: { usd: 4000, cad: 5500, gbp: 3150, eur: 3700, aud: 6100, nzd: 6650 } },
+          { maxOz: Infinity, amounts: { usd: 5500, cad: 7550, gbp: 4350, eur: 5050, aud: 8350, nzd: 9150 } }
+        ]
+      }
+    ]
+  }
+};
+
+// Every country we ship to
+const SHIPPING_COUNTRIES = Object.values(SHIPPING_ZONES).flatMap(zone => zone.countries);
+
+function findZone(country) {
+  return Object.values(SHIPPING_ZONES).find(zone => zone.countries.includes(country)) || null;
+}
+
+// Packed weight in ounces of each package a cart ships in, e.g. [12, 18]
+function packageWeights(cartItems) {
+  const weights = [];
+  for (const shipmentType of Object.keys(SHIPMENTS)) {
+    let weightOz = 0;
+    for (const item of cartItems) {
+      weightOz += (getProduct(item.productId)?.shippingWeightOz?.[shipmentType] || 0) * item.quantity;
+    }
+    if (weightOz > 0) {
+      weights.push(weightOz);
+    }
+  }
+  return weights;
+}
+
+function tierAmount(rate, weightOz, currency) {
+  return rate.tiers.find(tier => weightOz <= tier.maxOz).amounts[currency];
+}
+
+// Checkout shipping for a cart going to `country`, charged in `currency`. Returns
+// { countries, options } for the session's allowed_countries and inline
+// shipping_options, or { error } if we don't ship there.
+function getShippingOptions(cartItems, country, currency) {
+  const zone = findZone(country);
+  if (!zone) {
+    return { error: `Sorry, we don't ship to ${COUNTRIES[country] || country} yet` };
+  }
+
+  const weights = packageWeights(cartItems);
+  const packages = weights.length > 1 ? ` (${weights.length} packages)` : '';
+
+  const options = zone.rates.map(rate => ({
+    shipping_rate_data: {
+      type: 'fixed_amount',
+      display_name: `${rate.name}${packages}`,
+      fixed_amount: {
+        amount: weights.reduce((sum, weightOz) => sum + tierAmount(rate, weightOz, currency), 0),
+        currency
+      },
+      delivery_estimate: {
+        minimum: { unit: 'business_day', value: rate.minDays },
+        maximum: { unit: 'business_day', value: rate.maxDays }
+      }
+    }
+  }));
+
+  return { countries: zone.countries, options };
+}
+
+module.exports = {
+  COUNTRIES,
+  SHIPPING_ZONES,
+  SHIPPING_COUNTRIES,
+  getShippingOptions
+};
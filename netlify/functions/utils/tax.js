@@ -0,0 +1,123 @@
+// netlify/functions/utils/tax.js
+// Sales tax and VAT on checkout sessions. TAX_MODE picks how it's worked out:
+//   stripe - Stripe Tax (automatic_tax), using the catalog's tax codes and
+//            the registrations set up in the Stripe Dashboard
+//   rates  - the rate table below, as Stripe tax rates matched to the
+//            buyer's address (dynamic_tax_rates). Meant for testing: Stripe
+//            only matches these in the US, UK, EU and Australia, and
+//            shipping isn't taxed.
+//   off    - no tax (the default)
+//
+// Prices in TAX_INCLUSIVE_CURRENCIES already include VAT/GST, as buyers
+// paying in those expect; in other currencies tax is added at checkout.
+
+const { getProduct } = require('./catalog');
+
+const TAX_MODES = ['stripe', 'rates', 'off'];
+
+const TAX_INCLUSIVE_CURRENCIES = ['gbp', 'eur', 'aud', 'nzd'];
+
+// Stripe tax code for shipping charges
+const SHIPPING_TAX_CODE = 'txcd_92010001';
+
+// Rates for TAX_MODE=rates. Stripe tax rates can't be edited, so changing a
+// percentage here creates a new one.
+const TAX_RATES = [
+  { country: 'US', state: 'CA', name: 'Sales Tax', percentage: 7.25 },
+  { country: 'US', state: 'NY', name: 'Sales Tax', percentage: 4 },
+  { country: 'US', state: 'TX', name: 'Sales Tax', percentage: 6.25 },
+  { country: 'US', state: 'WA', name: 'Sales Tax', percentage: 6.5 },
+  { country: 'GB', name: 'VAT', percentage: 20 },
+  { country: 'IE', name: 'VAT', percentage: 23 },
+  { country: 'DE', name: 'VAT', percentage: 19 },
+  { country: 'FR', name: 'VAT', percentage: 20 },
+  { country: 'NL', name: 'VAT', percentage: 21 },
+  { country: 'BE', name: 'VAT', percentage: 21 },
+  { country: 'AU', name: 'GST', percentage: 10 }
+];
+
+// Stripe tax rate IDs by table key, for the life of the function instance
+const taxRateIds = new Map();
+
+function getTaxMode() {
+  const mode = process.env.TAX_MODE || 'off';
+  if (!TAX_MODES.includes(mode)) {
+    throw new Error(`TAX_MODE must be one of: ${TAX_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function isTaxInclusive(currency) {
+  return TAX_INCLUSIVE_CURRENCIES.includes(currency);
+}
+
+function taxRateKey(rate, inclusive) {
+  return [rate.country, rate.state || '', rate.percentage, inclusive ? 'inclusive' : 'exclusive'].join('-');
+}
+
+// IDs of the Stripe tax rates for TAX_RATES, creating any that don't exist yet
+async function getTaxRateIds(stripe, inclusive) {
+  const missing = TAX_RATES.filter(rate => !taxRateIds.has(taxRateKey(rate, inclusive)));
+
+  if (missing.length > 0) {
+    const existing = await stripe.taxRates.list({ active: true, limit: 100 });
+    for (const taxRate of existing.data) {
+      if (taxRate.metadata?.taxTableKey) {
+        taxRateIds.set(taxRate.metadata.taxTableKey, taxRate.id);
+      }
+    }
+
+    for (const rate of missing) {
+      const key = taxRateKey(rate, inclusive);
+      if (taxRateIds.has(key)) continue;
+      const taxRate = await stripe.taxRates.create({
+        display_name: rate.name,
+        percentage: rate.percentage,
+        inclusive,
+        country: rate.country,
+        ...(rate.state && { state: rate.state }),
+        jurisdiction: rate.state ? `${rate.country}-${rate.state}` : rate.country,
+        metadata: { taxTableKey: key }
+      });
+      taxRateIds.set(key, taxRate.id);
+    }
+  }
+
+  return TAX_RATES.map(rate => taxRateIds.get(taxRateKey(rate, inclusive)));
+}
+
+// Add tax for the configured TAX_MODE to checkout session parameters whose
+// line_items and shipping_options are priced in `currency`
+async function addTaxToSession(stripe, params, currency) {
+  const mode = getTaxMode();
+  if (mode === 'off') {
+    return;
+  }
+
+  const inclusive = isTaxInclusive(currency);
+
+  if (mode === 'stripe') {
+    const taxBehavior = inclusive ? 'inclusive' : 'exclusive';
+    params.automatic_tax = { enabled: true };
+    for (const item of params.line_items) {
+      item.price_data.tax_behavior = taxBehavior;
+      item.price_data.product_data.tax_code = getProduct(item.price_data.product_data.metadata.productId).taxCode;
+    }
+    for (const option of params.shipping_options) {
+      option.shipping_rate_data.tax_behavior = taxBehavior;
+      option.shipping_rate_data.tax_code = SHIPPING_TAX_CODE;
+    }
+    return;
+  }
+
+  const dynamicTaxRates = await getTaxRateIds(stripe, inclusive);
+  for (const item of params.line_items) {
+    item.dynamic_tax_rates = dynamicTaxRates;
+  }
+}
+
+module.exports = {
+  getTaxMode,
+  isTaxInclusive,
+  addTaxToSession
+};
@@ -0,0 +1,67 @@
+// netlify/functions/utils/tokens.js
+// Signed, expiring tokens: a base64url JSON payload and its HMAC-SHA256,
+// keyed by TOKEN_SECRET. Each token names its purpose, so one issued for an
+// admin session can't be used as anything else.
+
+const crypto = require('crypto');
+
+function getSecret() {
+  const secret = process.env.TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('TOKEN_SECRET not configured');
+  }
+  return secret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+// A token carrying `claims` for `purpose`, valid for ttlSeconds
+function issueToken(purpose, claims, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(JSON.stringify({
+    ...claims,
+    purpose,
+    iat: now,
+    exp: now + ttlSeconds
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// The token's claims if it's genuine, issued for `purpose` and not yet
+// expired; otherwise null
+function verifyToken(token, purpose) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const [payload, signature] = parts;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+
+  if (claims.purpose !== purpose || !(claims.exp > Date.now() / 1000)) {
+    return null;
+  }
+  return claims;
+}
+
+module.exports = {
+  issueToken,
+  verifyToken
+};
@@ -0,0 +1,76 @@
+// netlify/functions/validate-promo-code.js
+// Checks a promo code so the storefront can preview the discount.
+// create-checkout-session validates the code again before applying it.
+
+const Stripe = require('stripe');
+const { findPromotionCode, describePromotion } = require('./utils/promotions');
+const { DEFAULT_CURRENCY, isSupportedCurrency } = require('./utils/currency');
+
+function getStripe() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY not configured');
+  }
+  return new Stripe(secretKey);
+}
+
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const stripe = getStripe();
+    const { code, subtotal, currency = DEFAULT_CURRENCY } = JSON.parse(event.body || '{}');
+
+    if (!isSupportedCurrency(currency)) {
+      return {
+        statusCode: 400,
+        headers: { 'Access-Control-Allow-Origin': '*' },
+        body: JSON.stringify({ valid: false, error: 'Unsupported currency' })
+      };
+    }
+
+    // Subtotal (in major units of `currency`) is only used for the
+    // minimum-amount message here
+    const { promotion, error } = await findPromotionCode(stripe, code, Math.round((subtotal || 0) * 100), currency);
+
+    if (error) {
+      return {
+        statusCode: 200,
+        headers: { 'Access-Control-Allow-Origin': '*' },
+        body: JSON.stringify({ valid: false, error })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: { 'Access-Control-Allow-Origin': '*' },
+      body: JSON.stringify({ valid: true, promotion: describePromotion(promotion, currency) })
+    };
+
+  } catch (error) {
+    console.error('Promo code validation error:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Access-Control-Allow-Origin': '*' },
+      body: JSON.stringify({ error: 'Failed to check promo code' })
+    };
+  }
+};